@@ -1,852 +1,6738 @@
-// Rocket: trigger-based launch + constant-speed flight with smooth steering and coverage
-// Starts parked above the H1. Click to launch, or auto-launch after 5s.
+// ===== I18n: English/Thai message catalogs (locales/<lang>.json) =====
+// Markup keeps its English text and names a catalog key:
+//   data-i18n="key"            -> textContent
+//   data-i18n-html="key"       -> innerHTML (catalog entries are trusted, e.g. bubbles with links)
+//   data-i18n-attr="attr:key; attr:key" -> attributes (aria-label, placeholder, data-text, …)
+//   data-i18n-list="prefix"    -> one child per prefix1, prefix2, … (extra children cloned from the first)
+// Data records can carry per-locale overrides, e.g. { text: '…', i18n: { th: { text: '…' } } }.
+// The choice is stored in localStorage (so embedded pages follow it) and defaults to
+// navigator.language. Switching fires a 'localechange' event on document for dynamic blocks.
+const I18n = (function () {
+  const LOCALES = ['en', 'th'];
+  const FALLBACK = 'en';
+  const STORAGE_KEY = 'site-locale';
+  const LOCALE_DIR = 'locales/';
 
+  const messages = {};  // lang -> flat { key: message }
+  const pending = {};   // lang -> Promise while loading
+  const drafts = {};    // lang -> { key: message | null } from the ?edit content editor; null removes a key
+  let locale = FALLBACK;
+  let resolveReady;
+  const ready = new Promise(resolve => { resolveReady = resolve; });
+
+  function detect() {
+    let stored = null;
+    try { stored = localStorage.getItem(STORAGE_KEY); } catch {}
+    if (LOCALES.includes(stored)) return stored;
+    const prefs = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language || ''];
+    for (const tag of prefs) {
+      const base = String(tag).toLowerCase().split('-')[0];
+      if (LOCALES.includes(base)) return base;
+    }
+    return FALLBACK;
+  }
+
+  function loadCatalog(lang) {
+    if (messages[lang]) return Promise.resolve(messages[lang]);
+    if (!pending[lang]) {
+      pending[lang] = fetch(`${LOCALE_DIR}${lang}.json`, { cache: 'no-cache' })
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(json => (messages[lang] = json))
+        .catch(err => {
+          if (window.console) console.error(`Could not load ${LOCALE_DIR}${lang}.json`, err);
+          return (messages[lang] = {});
+        })
+        .finally(() => { delete pending[lang]; });
+    }
+    return pending[lang];
+  }
+
+  // A catalog entry with any editor draft applied; undefined when missing or removed
+  function lookup(lang, key) {
+    const draft = drafts[lang];
+    const msg = draft && key in draft ? draft[key] : (messages[lang] || {})[key];
+    return typeof msg === 'string' ? msg : undefined;
+  }
+
+  // t('samples.count', { n: 8 }) -> '8 projects'; falls back to English, then to the key itself
+  function t(key, vars) {
+    let msg = lookup(locale, key);
+    if (msg === undefined) msg = lookup(FALLBACK, key);
+    if (msg === undefined) return key;
+    if (vars) msg = msg.replace(/\{(\w+)\}/g, (m, name) => (name in vars ? String(vars[name]) : m));
+    return msg;
+  }
+
+  function has(key) {
+    return lookup(locale, key) !== undefined || lookup(FALLBACK, key) !== undefined;
+  }
+
+  // Numbered entries prefix1, prefix2, … up to the first gap, from the current language when it has any
+  function list(prefix) {
+    const from = (lang) => {
+      const out = [];
+      let msg;
+      while ((msg = lookup(lang, prefix + (out.length + 1))) !== undefined) out.push(msg);
+      return out;
+    };
+    const own = from(locale);
+    return own.length ? own : from(FALLBACK);
+  }
+
+  // Match the number of keyed children to the catalog list; the normal pass below fills in the text
+  function syncList(container) {
+    const prefix = container.dataset.i18nList;
+    const keyOf = (el) => el.dataset.i18nHtml || el.dataset.i18n || '';
+    const items = Array.from(container.children).filter(el => keyOf(el).startsWith(prefix));
+    const count = list(prefix).length;
+    if (!items.length || !count) return; // nothing to clone from, or catalog not loaded: keep the markup
+    const attr = items[0].dataset.i18nHtml !== undefined ? 'i18nHtml' : 'i18n';
+    while (items.length < count) {
+      const clone = items[0].cloneNode(false);
+      clone.dataset[attr] = prefix + (items.length + 1);
+      items[items.length - 1].after(clone);
+      items.push(clone);
+    }
+    items.slice(count).forEach(el => el.remove());
+  }
+
+  // Editor drafts for one language (null clears them); callers re-apply
+  function setDrafts(lang, entries) {
+    if (entries) drafts[lang] = entries;
+    else delete drafts[lang];
+  }
+
+  // Shallow copy of a data record with its overrides for the current locale applied
+  function localize(record) {
+    const extra = record && record.i18n && record.i18n[locale];
+    return extra ? Object.assign({}, record, extra) : record;
+  }
+
+  function apply(root) {
+    const scope = root || document;
+    scope.querySelectorAll('[data-i18n-list]').forEach(syncList);
+    scope.querySelectorAll('[data-i18n]').forEach(el => {
+      if (has(el.dataset.i18n)) el.textContent = t(el.dataset.i18n);
+    });
+    scope.querySelectorAll('[data-i18n-html]').forEach(el => {
+      if (has(el.dataset.i18nHtml)) el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    scope.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      el.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attr, key] = pair.split(':').map(s => s.trim());
+        if (attr && key && has(key)) el.setAttribute(attr, t(key));
+      });
+    });
+    scope.querySelectorAll('[data-locale]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.locale === locale));
+    });
+  }
+
+  async function setLocale(lang, opts = {}) {
+    if (!LOCALES.includes(lang)) lang = FALLBACK;
+    await Promise.all([loadCatalog(FALLBACK), loadCatalog(lang)]);
+    const changed = lang !== locale;
+    locale = lang;
+    document.documentElement.lang = lang;
+    if (opts.persist !== false) {
+      try { localStorage.setItem(STORAGE_KEY, lang); } catch {}
+    }
+    apply(document);
+    if (changed || opts.initial) {
+      document.dispatchEvent(new CustomEvent('localechange', { detail: { locale, initial: !!opts.initial } }));
+    }
+  }
+
+  function init() {
+    setLocale(detect(), { persist: false, initial: true }).then(resolveReady, resolveReady);
+
+    // Navbar switcher: <button data-locale="th">
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-locale]');
+      if (btn) setLocale(btn.dataset.locale);
+    });
+
+    // Another document (the host page or an overlay frame) switched language
+    window.addEventListener('storage', (e) => {
+      if (e.key === STORAGE_KEY && LOCALES.includes(e.newValue) && e.newValue !== locale) {
+        setLocale(e.newValue, { persist: false });
+      }
+    });
+  }
+
+  document.addEventListener('DOMContentLoaded', init);
+
+  return {
+    LOCALES, FALLBACK, ready, t, has, list, localize, apply, setLocale, setDrafts,
+    get locale() { return locale; }
+  };
+})();
+
+// ===== Theme: light / dark / system, stored in localStorage =====
+// Each page's <head> runs a tiny inline script that sets <html data-theme> before first paint.
+// This keeps it in sync afterwards: the navbar toggle (<button data-set-theme="dark">), OS changes
+// while on "system", and the overlay frame, which follows the host through the storage event and
+// a 'theme' bridge message. Fires 'themechange' on document.
+const Theme = (function () {
+  const CHOICES = ['light', 'dark', 'system'];
+  const STORAGE_KEY = 'site-theme'; // also read by the inline <head> script
+  const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+  let choice = read();
+
+  function read() {
+    let stored = null;
+    try { stored = localStorage.getItem(STORAGE_KEY); } catch {}
+    return CHOICES.includes(stored) ? stored : 'system';
+  }
+
+  function resolve(c) {
+    if (c !== 'system') return c;
+    return media && media.matches ? 'dark' : 'light';
+  }
+
+  function apply() {
+    const theme = resolve(choice);
+    document.documentElement.dataset.theme = theme;
+    document.querySelectorAll('[data-set-theme]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.setTheme === choice));
+    });
+    document.dispatchEvent(new CustomEvent('themechange', { detail: { choice, theme } }));
+  }
+
+  function set(next, opts = {}) {
+    if (!CHOICES.includes(next)) return;
+    choice = next;
+    if (opts.persist !== false) {
+      try { localStorage.setItem(STORAGE_KEY, next); } catch {}
+    }
+    apply();
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    apply();
+
+    document.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-set-theme]');
+      if (btn) set(btn.dataset.setTheme);
+    });
+
+    if (media) {
+      const onSystemChange = () => { if (choice === 'system') apply(); };
+      if (media.addEventListener) media.addEventListener('change', onSystemChange);
+      else if (media.addListener) media.addListener(onSystemChange); // older Safari
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key === STORAGE_KEY) set(CHOICES.includes(e.newValue) ? e.newValue : 'system', { persist: false });
+    });
+  });
+
+  return {
+    CHOICES, set,
+    get choice() { return choice; },
+    get theme() { return resolve(choice); }
+  };
+})();
+
+// ===== RocketFlight: constant-speed flight with smooth steering and coverage =====
+// Parks over an anchor element (the hero H1), launches on click or after a delay, then wanders
+// around its bounds steering toward random waypoints while edges and obstacles (page content
+// inside the bounds) push it away. Optionally chases or flees the pointer; clicking it in flight
+// makes it loop.
+// Options (see RocketFlight.DEFAULTS) replace the old module-level tunables; `rng` and `clock`
+// can be injected so steering is deterministic under test. Each instance owns its own state,
+// so several rockets can fly on one page.
+const RocketFlight = (function () {
+  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+  const normalizeAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
+  const smoothStep01 = (t) => { t = clamp(t, 0, 1); return t * t * (3 - 2 * t); };
+  const EASE_IN_OUT = (t) => (t <= 0 ? 0 : t >= 1 ? 1 : t * t * (3 - 2 * t));
+
+  const instances = new WeakMap();
+
+  class RocketFlight extends EventTarget {
+    constructor(el, options = {}) {
+      super();
+      this.el = el;
+      this.opts = Object.assign({}, RocketFlight.DEFAULTS, options);
+      this.bounds = this.opts.bounds || el.offsetParent || document.body;
+      this.anchor = this.opts.anchor || null;
+      this.rng = this.opts.rng;
+      this.clock = this.opts.clock;
+
+      // --- State ---
+      this.mode = 'idle';                   // 'idle' | 'launching' | 'flight' | 'landing'
+      this.paused = false;
+      this.width = 0;
+      this.height = 0;
+      this.halfW = 0;
+      this.halfH = 0;
+      this.speed = 0;
+      this.x = 0;
+      this.y = 0;
+      this.heading = this.opts.initialHeading;
+      this.wanderOffset = 0;
+      this.wanderTarget = 0;
+      this.nextWanderAt = 0;
+      this.obstacles = [];                  // obstacle rects in bounds-local px
+      this.pointerMode = this.opts.pointer; // null | 'chase' | 'flee'
+      this.pointer = null;                  // last pointer position in bounds-local px
+      this.loopRemaining = 0;               // radians left in a loop manoeuvre
+      this.loopDir = 1;
+      this.manual = null;                   // { heading } while steered by hand (mini-game)
+      this.waypoint = { x: 0, y: 0 };
+      this.waypointDeadline = 0;
+      this.launchStart = 0;
+      this.landingPoint = null;
+      this.pausedAt = 0;
+      this.last = 0;
+      this.rafId = 0;
+      this.autoTimer = null;
+      this.destroyed = false;
+
+      this._frame = (t) => this._step(t);
+      this._onClick = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        if (this.mode === 'idle') this.launch();
+        else this.loop();
+      };
+      this._onPointerMove = (e) => {
+        const r = this.bounds.getBoundingClientRect();
+        this.pointer = { x: e.clientX - r.left, y: e.clientY - r.top };
+      };
+      this._onPointerLeave = () => { this.pointer = null; };
+      this._onResize = () => this.resize();
+      this._onVisibility = () => { if (!document.hidden) this.last = this.clock(); };
+      // Also runs from document.fonts.ready, which can't be unsubscribed: no-op once destroyed
+      this._reseat = () => {
+        if (this.destroyed) return;
+        this.measure();
+        if (this.mode === 'idle') this.seat();
+      };
+
+      instances.set(el, this);
+      this._init();
+    }
+
+    // The instance controlling an element, if any
+    static for(el) {
+      return instances.get(el) || null;
+    }
+
+    _init() {
+      this.measure();
+      this.waypoint = { x: this.width * 0.75, y: this.height * 0.35 };
+      this.waypointDeadline = this.clock() + this.opts.waypointTimeoutMs;
+      this.seat();
+
+      // Re-seat after fonts and load settle; while idle, follow layout shifts of the anchor
+      if (document.fonts && document.fonts.ready) document.fonts.ready.then(this._reseat);
+      window.addEventListener('load', this._reseat);
+      window.addEventListener('resize', this._onResize);
+      document.addEventListener('visibilitychange', this._onVisibility);
+      this.el.addEventListener('click', this._onClick);
+      this.bounds.addEventListener('pointermove', this._onPointerMove, { passive: true });
+      this.bounds.addEventListener('pointerdown', this._onPointerMove, { passive: true });
+      this.bounds.addEventListener('pointerleave', this._onPointerLeave);
+      this.bounds.addEventListener('pointercancel', this._onPointerLeave);
+      if (typeof ResizeObserver === 'function') {
+        this.observer = new ResizeObserver(() => { if (this.mode === 'idle') this._reseat(); });
+        this.observer.observe(this.bounds);
+        if (this.anchor) this.observer.observe(this.anchor);
+      }
+
+      if (this.opts.autoLaunchDelay != null) {
+        this.autoTimer = setTimeout(() => this.launch(), this.opts.autoLaunchDelay);
+      }
+    }
+
+    _emit(type) {
+      this.dispatchEvent(new CustomEvent(type, { detail: { x: this.x, y: this.y, heading: this.heading } }));
+    }
+
+    // --- Measurements ---
+    measure() {
+      const r = this.bounds.getBoundingClientRect();
+      this.width = r.width;
+      this.height = r.height;
+      // offsetWidth/Height are not affected by CSS transforms
+      this.halfW = (this.el.offsetWidth || 0) / 2;
+      this.halfH = (this.el.offsetHeight || 0) / 2;
+      this.measureObstacles(r);
+    }
+
+    // Bounding boxes of the obstacle elements, in bounds-local coordinates
+    measureObstacles(boundsRect) {
+      const r = boundsRect || this.bounds.getBoundingClientRect();
+      let els = this.opts.obstacles || [];
+      if (typeof els === 'string') els = Array.from(this.bounds.querySelectorAll(els));
+      this.obstacles = Array.from(els)
+        .filter(el => el && el !== this.el)
+        .map(el => el.getBoundingClientRect())
+        .filter(b => b.width > 0 && b.height > 0)
+        .map(b => ({ left: b.left - r.left, top: b.top - r.top, right: b.right - r.left, bottom: b.bottom - r.top }));
+    }
+
+    resize() {
+      this.measure();
+      // keep center inside on resize, accounting for rocket size
+      this.x = clamp(this.x, this.halfW + 8, this.width - this.halfW - 8);
+      this.y = clamp(this.y, this.halfH + 8, this.height - this.halfH - 8);
+      // keep waypoint valid
+      const m = this.opts.waypointMargin;
+      this.waypoint.x = clamp(this.waypoint.x, m, this.width - m);
+      this.waypoint.y = clamp(this.waypoint.y, m, this.height - m);
+      if (this.mode === 'idle') this.seat();
+      else this.render();
+    }
+
+    // Parking spot: above the anchor's centre (or the bounds' centre), clamped inside the bounds
+    seatPoint() {
+      let cx = this.width * 0.5;
+      let cy = this.height * 0.5;
+      if (this.anchor) {
+        const hb = this.bounds.getBoundingClientRect();
+        const tb = this.anchor.getBoundingClientRect();
+        cx = ((tb.left + tb.right) / 2) - hb.left;
+        cy = ((tb.top + tb.bottom) / 2) - hb.top;
+      }
+      cy += this.opts.seatOffsetY;
+      return {
+        x: clamp(cx, this.halfW + 2, this.width - this.halfW - 2),
+        y: clamp(cy, this.halfH + 2, this.height - this.halfH - 2)
+      };
+    }
+
+    seat() {
+      const p = this.seatPoint();
+      this.x = p.x;
+      this.y = p.y;
+      this.heading = this.opts.initialHeading;
+      this.render();
+    }
+
+    render() {
+      const deg = (this.heading * 180 / Math.PI) + 45;
+      // Position the element so that its center is at (x, y)
+      this.el.style.transform = `translate(${this.x - this.halfW}px, ${this.y - this.halfH}px) rotate(${deg}deg)`;
+      this._updateHitArea();
+    }
+
+    // Clickable while parked (launch) and in open space during flight (loop); over page content,
+    // or while launching, landing or hand-steered, clicks go through to what's underneath
+    _updateHitArea() {
+      const clickable = this.mode === 'idle' ||
+        (this.mode === 'flight' && !this.manual && !this.overlapsObstacle());
+      const value = clickable ? 'auto' : 'none';
+      if (this.el.style.pointerEvents === value) return;
+      this.el.style.pointerEvents = value;
+      this.el.style.cursor = clickable ? 'pointer' : 'default';
+    }
+
+    // --- Steering ---
+    nudgeWander() {
+      const o = this.opts;
+      this.wanderTarget = clamp(this.wanderTarget + (this.rng() * 2 - 1) * o.wanderJitter, -o.wanderMax, o.wanderMax);
+    }
+
+    pickWaypoint(now) {
+      const m = this.opts.waypointMargin;
+      const minDX = this.width * 0.25;
+      const minDY = this.height * 0.25;
+      let tx, ty, tries = 0;
+      do {
+        tx = m + this.rng() * (this.width - 2 * m);
+        ty = m + this.rng() * (this.height - 2 * m);
+        tries++;
+      } while (tries < 10 && (
+        (Math.abs(tx - this.x) < minDX && Math.abs(ty - this.y) < minDY) || this.insideObstacle(tx, ty)
+      ));
+      this.waypoint = { x: tx, y: ty };
+      this.waypointDeadline = now + this.opts.waypointTimeoutMs * (0.7 + this.rng() * 0.8); // 7–18s
+      this._emit('waypoint');
+    }
+
+    edgeRepulsion(px, py) {
+      const m = this.opts.avoidMargin;
+      let fx = 0, fy = 0;
+      const leftT   = (m - px) / m;
+      const rightT  = (m - (this.width - px)) / m;
+      const topT    = (m - py) / m;
+      const bottomT = (m - (this.height - py)) / m;
+      if (leftT   > 0) fx += smoothStep01(leftT);
+      if (rightT  > 0) fx -= smoothStep01(rightT);
+      if (topT    > 0) fy += smoothStep01(topT);
+      if (bottomT > 0) fy -= smoothStep01(bottomT);
+      return { fx: fx * this.opts.avoidGain, fy: fy * this.opts.avoidGain };
+    }
+
+    insideObstacle(px, py) {
+      const pad = this.opts.obstacleMargin;
+      return this.obstacles.some(o =>
+        px > o.left - pad && px < o.right + pad && py > o.top - pad && py < o.bottom + pad);
+    }
+
+    // Whether the rocket's own box overlaps any obstacle rect
+    overlapsObstacle() {
+      return this.obstacles.some(o =>
+        this.x + this.halfW > o.left && this.x - this.halfW < o.right &&
+        this.y + this.halfH > o.top && this.y - this.halfH < o.bottom);
+    }
+
+    // Push away from the nearest point of each obstacle rect within obstacleMargin;
+    // from inside a rect, push out through the closest side at full strength
+    obstacleRepulsion(px, py) {
+      const m = this.opts.obstacleMargin;
+      let fx = 0, fy = 0;
+      this.obstacles.forEach(o => {
+        const nx = clamp(px, o.left, o.right);
+        const ny = clamp(py, o.top, o.bottom);
+        let dx = px - nx, dy = py - ny;
+        let d = Math.hypot(dx, dy);
+        if (d === 0) {
+          const exits = [
+            [px - o.left, -1, 0], [o.right - px, 1, 0],
+            [py - o.top, 0, -1], [o.bottom - py, 0, 1]
+          ].sort((a, b) => a[0] - b[0]);
+          fx += exits[0][1];
+          fy += exits[0][2];
+          return;
+        }
+        if (d >= m) return;
+        const strength = smoothStep01((m - d) / m);
+        fx += (dx / d) * strength;
+        fy += (dy / d) * strength;
+      });
+      return { fx: fx * this.opts.obstacleGain, fy: fy * this.opts.obstacleGain };
+    }
+
+    // Gentle pull toward (chase) or push away from (flee, only within pointerRange) the pointer
+    pointerForce(px, py) {
+      if (!this.pointerMode || !this.pointer) return { fx: 0, fy: 0 };
+      const dx = this.pointer.x - px;
+      const dy = this.pointer.y - py;
+      const d = Math.hypot(dx, dy) || 1;
+      const range = this.opts.pointerRange;
+      let k;
+      if (this.pointerMode === 'flee') k = -smoothStep01((range - d) / range);
+      else k = smoothStep01(d / range);   // ease off when close so it doesn't orbit tightly
+      return { fx: (dx / d) * k * this.opts.pointerGain, fy: (dy / d) * k * this.opts.pointerGain };
+    }
+
+    // Turn toward a desired heading, faster when repelled hard or when the turn is large
+    turnToward(desiredHeading, repulseMag, dt, boost = 1) {
+      const angleDelta = Math.abs(normalizeAngle(desiredHeading - this.heading));
+      const angleFactor = clamp(angleDelta / (Math.PI / 2), 0, 1.6);
+      const dynamicFactor = clamp(0.85 + 0.9 * repulseMag + 0.6 * angleFactor, 0.85, 2.1);
+      const maxTurnThisFrame = this.opts.maxTurn * dynamicFactor * boost * dt;
+      const delta = normalizeAngle(desiredHeading - this.heading);
+      this.heading = normalizeAngle(this.heading + clamp(delta, -maxTurnThisFrame, maxTurnThisFrame));
+    }
+
+    // Advance the simulation by dt seconds (no DOM access)
+    update(dt, now) {
+      const o = this.opts;
+      if (this.mode === 'idle') return;
+
+      if (this.mode === 'launching') {
+        const t = clamp((now - this.launchStart) / o.launchDuration, 0, 1);
+        this.speed = o.speed * EASE_IN_OUT(t);
+        if (t >= 1) { this.mode = 'flight'; this.speed = o.speed; }
+      }
+
+      if (this.mode === 'landing') {
+        this._updateLanding(dt);
+        return;
+      }
+
+      // Manual steering: turn toward the requested heading (null = hold course); walls still clamp
+      if (this.manual) {
+        if (this.manual.heading !== null) this.turnToward(this.manual.heading, 0, dt, o.manualTurnBoost);
+        this._integrate(dt);
+        return;
+      }
+
+      // Loop manoeuvre: a full turn at a fixed rate, ignoring other influences
+      if (this.loopRemaining > 0) {
+        const turn = Math.min(o.loopRate * dt, this.loopRemaining);
+        this.heading = normalizeAngle(this.heading + turn * this.loopDir);
+        this.loopRemaining -= turn;
+        this._integrate(dt);
+        if (this.loopRemaining <= 0) this._emit('loop');
+        return;
+      }
+
+      // Wander target drifts on its own cadence; ease the offset toward it
+      if (now >= this.nextWanderAt) {
+        this.nudgeWander();
+        this.nextWanderAt = now + o.wanderUpdateMs;
+      }
+      const alpha = clamp(dt * o.wanderSmoothRate, 0, 1);
+      this.wanderOffset += (this.wanderTarget - this.wanderOffset) * alpha;
+
+      // Directions
+      const dirX = Math.cos(this.heading), dirY = Math.sin(this.heading);
+      const wanderX = Math.cos(this.heading + this.wanderOffset), wanderY = Math.sin(this.heading + this.wanderOffset);
+      const edge = this.edgeRepulsion(this.x, this.y);
+      const avoid = this.obstacleRepulsion(this.x, this.y);
+      const lure = this.pointerForce(this.x, this.y);
+      const fx = edge.fx + avoid.fx, fy = edge.fy + avoid.fy;
+
+      // Waypoint vector
+      const wvx = this.waypoint.x - this.x;
+      const wvy = this.waypoint.y - this.y;
+      const wlen = Math.hypot(wvx, wvy) || 1;
+      const wx = wvx / wlen, wy = wvy / wlen;
+      if (wlen < o.waypointReachDist || now > this.waypointDeadline) this.pickWaypoint(now);
+
+      // Combine influences
+      let desX = dirX + 0.55 * wanderX + fx + lure.fx + o.waypointGain * wx;
+      let desY = dirY + 0.55 * wanderY + fy + lure.fy + o.waypointGain * wy;
+      const len = Math.hypot(desX, desY) || 1;
+      desX /= len; desY /= len;
+
+      this.turnToward(Math.atan2(desY, desX), clamp(Math.hypot(fx, fy), 0, 1), dt);
+      this._integrate(dt);
+    }
+
+    // Glide back to the parking spot, slowing on approach
+    _updateLanding(dt) {
+      const target = this.landingPoint;
+      const dx = target.x - this.x;
+      const dy = target.y - this.y;
+      const dist = Math.hypot(dx, dy);
+      if (dist < 6) {
+        this.mode = 'idle';
+        this.speed = 0;
+        this.seat();
+        this._stopLoop();
+        this._emit('land');
+        return;
+      }
+      this.speed = clamp(dist * 2, 40, this.opts.speed);
+      this.turnToward(Math.atan2(dy, dx), 0, dt, 2);
+      this._integrate(dt);
+    }
+
+    _integrate(dt) {
+      // Integrate motion (constant speed once launched)
+      this.x += Math.cos(this.heading) * this.speed * dt;
+      this.y += Math.sin(this.heading) * this.speed * dt;
+      this.x = clamp(this.x, 2, this.width - 2);
+      this.y = clamp(this.y, 2, this.height - 2);
+    }
+
+    // --- Animation loop (runs only while flying and not paused) ---
+    _step(now) {
+      this.rafId = 0;
+      if (this.paused || this.mode === 'idle' || this.destroyed) return;
+      const dt = Math.min((now - this.last) / 1000, 0.06);
+      this.last = now;
+      this.update(dt, now);
+      this.render();
+      if (this.mode !== 'idle') this.rafId = this.opts.requestFrame(this._frame);
+    }
+
+    _startLoop() {
+      if (this.rafId || this.paused || this.destroyed) return;
+      this.last = this.clock();
+      this.rafId = this.opts.requestFrame(this._frame);
+    }
+
+    _stopLoop() {
+      if (this.rafId) this.opts.cancelFrame(this.rafId);
+      this.rafId = 0;
+    }
+
+    // --- Public controls ---
+    launch() {
+      if (this.mode !== 'idle' || this.destroyed) return;
+      clearTimeout(this.autoTimer);
+      this.mode = 'launching';
+      this.el.classList.add('launched'); // optional CSS hook
+      this.speed = 0;
+      this.launchStart = this.clock();
+      this.nextWanderAt = this.launchStart;
+      this._emit('launch');
+      this._startLoop();
+    }
+
+    // Loop-the-loop, turning toward the middle of the bounds so it stays on screen
+    loop() {
+      if (this.mode !== 'flight' || this.loopRemaining > 0 || this.paused || this.manual) return;
+      const toCenter = Math.atan2(this.height / 2 - this.y, this.width / 2 - this.x);
+      this.loopDir = normalizeAngle(toCenter - this.heading) >= 0 ? 1 : -1;
+      this.loopRemaining = Math.PI * 2;
+    }
+
+    // Hand steering over to the caller (e.g. the mini-game); only once launched
+    takeControl() {
+      if (this.destroyed || this.mode === 'idle' || this.mode === 'landing') return false;
+      this.manual = { heading: null };
+      this.loopRemaining = 0;
+      return true;
+    }
+
+    steer(heading) {
+      if (this.manual) this.manual.heading = heading;
+    }
+
+    // Back to autonomous flight with a fresh waypoint
+    releaseControl() {
+      if (!this.manual) return;
+      this.manual = null;
+      if (this.mode !== 'idle') this.pickWaypoint(this.clock());
+    }
+
+    setPointerMode(mode) {
+      this.pointerMode = mode === 'chase' || mode === 'flee' ? mode : null;
+    }
+
+    pause() {
+      if (this.paused || this.destroyed) return;
+      this.paused = true;
+      this.pausedAt = this.clock();
+      this._stopLoop();
+    }
+
+    resume() {
+      if (!this.paused || this.destroyed) return;
+      this.paused = false;
+      // Shift time-based deadlines so the pause doesn't count
+      const gap = this.clock() - this.pausedAt;
+      this.launchStart += gap;
+      this.nextWanderAt += gap;
+      this.waypointDeadline += gap;
+      if (this.mode !== 'idle') this._startLoop();
+    }
+
+    land() {
+      if (this.mode === 'idle' || this.mode === 'landing' || this.destroyed) return;
+      this.mode = 'landing';
+      this.landingPoint = this.seatPoint();
+      this._startLoop();
+    }
+
+    destroy() {
+      if (this.destroyed) return;
+      this.destroyed = true;
+      clearTimeout(this.autoTimer);
+      this._stopLoop();
+      if (this.observer) this.observer.disconnect();
+      window.removeEventListener('load', this._reseat);
+      window.removeEventListener('resize', this._onResize);
+      document.removeEventListener('visibilitychange', this._onVisibility);
+      this.el.removeEventListener('click', this._onClick);
+      this.bounds.removeEventListener('pointermove', this._onPointerMove);
+      this.bounds.removeEventListener('pointerdown', this._onPointerMove);
+      this.bounds.removeEventListener('pointerleave', this._onPointerLeave);
+      this.bounds.removeEventListener('pointercancel', this._onPointerLeave);
+      this.el.classList.remove('launched');
+      instances.delete(this.el);
+    }
+  }
+
+  RocketFlight.DEFAULTS = {
+    bounds: null,                       // element the rocket flies inside (default: offsetParent)
+    anchor: null,                       // element to park above while idle
+    seatOffsetY: -80,                   // px above the anchor's centre
+    initialHeading: -Math.PI / 6,       // slight up-right angle
+    autoLaunchDelay: null,              // ms until auto launch; null = click only
+
+    speed: 160,                         // px/s constant cruise
+    maxTurn: Math.PI * 1.1,             // rad/s
+    avoidMargin: 140,                   // px
+    avoidGain: 2.0,                     // strength of edge repulsion
+
+    // Wander (frequent course changes)
+    wanderMax: Math.PI / 5,             // +/- ~36°
+    wanderJitter: Math.PI / 24,         // ~7.5° per update
+    wanderUpdateMs: 400,                // ms
+    wanderSmoothRate: 5.0,              // per second
+
+    // Waypoint guidance to improve coverage
+    waypointGain: 0.35,
+    waypointMargin: 100,
+    waypointReachDist: 90,              // px
+    waypointTimeoutMs: 10000,           // ms
+
+    launchDuration: 1000,               // ms to accelerate to speed
+
+    // Obstacles: elements (or a selector within bounds) the rocket steers around
+    obstacles: [],
+    obstacleMargin: 36,                 // px of clearance around each box
+    obstacleGain: 2.2,
+
+    // Pointer: 'chase' | 'flee' | null
+    pointer: null,
+    pointerGain: 0.6,
+    pointerRange: 260,                  // px; flee only reacts within this distance
+
+    loopRate: Math.PI * 2.2,            // rad/s during a loop (~0.9s per loop)
+    manualTurnBoost: 2.4,               // turn-rate multiplier while hand-steered
+
+    // Injectable for deterministic tests
+    rng: Math.random,
+    clock: () => performance.now(),
+    requestFrame: (cb) => requestAnimationFrame(cb),
+    cancelFrame: (id) => cancelAnimationFrame(id)
+  };
+
+  return RocketFlight;
+})();
+
+// ===== StarGame: "collect the stars" mini-game flown with a RocketFlight =====
+// Takes manual control of the rocket (arrows / WASD / touch-drag), spawns stars to collect and
+// asteroids to dodge on a canvas over the rocket's bounds, and keeps the best score in
+// localStorage. Escape (or stop()) hands the rocket back to autonomous flight.
+const StarGame = (function () {
+  const BEST_KEY = 'rocket-game-best';
+  const KEYS = {
+    ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0],
+    w: [0, -1], s: [0, 1], a: [-1, 0], d: [1, 0]
+  };
+
+  class StarGame extends EventTarget {
+    constructor(flight, options = {}) {
+      super();
+      this.flight = flight;
+      this.opts = Object.assign({}, StarGame.DEFAULTS, options);
+      this.hud = this.opts.hud;
+      this.rng = this.opts.rng;
+      this.clock = this.opts.clock;
+
+      this.running = false;
+      this.score = 0;
+      this.best = StarGame.readBest();
+      this.stars = [];
+      this.asteroids = [];
+      this.held = new Set();
+      this.dragPoint = null;
+      this.rafId = 0;
+
+      this.canvas = document.createElement('canvas');
+      this.canvas.className = 'rocket-game';
+      this.canvas.setAttribute('aria-hidden', 'true');
+      this.canvas.hidden = true;
+      flight.bounds.appendChild(this.canvas);
+      this.ctx = this.canvas.getContext('2d');
+
+      this._frame = (t) => this._step(t);
+      this._onKeyDown = (e) => this._key(e, true);
+      this._onKeyUp = (e) => this._key(e, false);
+      this._onPointer = (e) => {
+        if (e.type === 'pointerdown') this.canvas.setPointerCapture(e.pointerId);
+        if (e.type === 'pointerdown' || this.dragPoint) {
+          const r = this.canvas.getBoundingClientRect();
+          this.dragPoint = { x: e.clientX - r.left, y: e.clientY - r.top };
+          e.preventDefault();
+        }
+      };
+      this._onPointerEnd = () => { this.dragPoint = null; };
+      this._onVisibility = () => { if (document.hidden && this.running) this.stop('hidden'); };
+    }
+
+    static readBest() {
+      try { return Number(localStorage.getItem(BEST_KEY)) || 0; } catch { return 0; }
+    }
+
+    start() {
+      if (this.running || !this.flight.takeControl()) return false;
+      this.running = true;
+      this.score = 0;
+      this.stars = [];
+      this.asteroids = [];
+      this.held.clear();
+      this.dragPoint = null;
+      this.hitUntil = 0;
+      this.startedAt = this.clock();
+      this.nextStarAt = this.startedAt;
+      this.nextAsteroidAt = this.startedAt + this.opts.asteroidEveryMs;
+      this.last = this.startedAt;
+
+      this._sizeCanvas();
+      this.canvas.hidden = false;
+      // Capture phase: Escape is handled here before page-level Escape handlers (the overlay) see it
+      window.addEventListener('keydown', this._onKeyDown, true);
+      window.addEventListener('keyup', this._onKeyUp, true);
+      this.canvas.addEventListener('pointerdown', this._onPointer);
+      this.canvas.addEventListener('pointermove', this._onPointer);
+      this.canvas.addEventListener('pointerup', this._onPointerEnd);
+      this.canvas.addEventListener('pointercancel', this._onPointerEnd);
+      document.addEventListener('visibilitychange', this._onVisibility);
+
+      this._updateHud();
+      this.dispatchEvent(new CustomEvent('start'));
+      this.rafId = requestAnimationFrame(this._frame);
+      return true;
+    }
+
+    // reason: 'time' (clock ran out), 'escape', 'hidden'
+    stop(reason = 'escape') {
+      if (!this.running) return;
+      this.running = false;
+      cancelAnimationFrame(this.rafId);
+      this.rafId = 0;
+      window.removeEventListener('keydown', this._onKeyDown, true);
+      window.removeEventListener('keyup', this._onKeyUp, true);
+      this.canvas.removeEventListener('pointerdown', this._onPointer);
+      this.canvas.removeEventListener('pointermove', this._onPointer);
+      this.canvas.removeEventListener('pointerup', this._onPointerEnd);
+      this.canvas.removeEventListener('pointercancel', this._onPointerEnd);
+      document.removeEventListener('visibilitychange', this._onVisibility);
+      this.canvas.hidden = true;
+      this.flight.el.classList.remove('is-hit');
+      this.flight.releaseControl();
+
+      const isBest = reason === 'time' && this.score > this.best;
+      if (isBest) {
+        this.best = this.score;
+        try { localStorage.setItem(BEST_KEY, String(this.best)); } catch {}
+      }
+      this.dispatchEvent(new CustomEvent('end', { detail: { reason, score: this.score, best: this.best, isBest } }));
+    }
+
+    _key(e, down) {
+      const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+      if (!down) { this.held.delete(key); return; } // always release, wherever focus went
+      // Keys typed into form fields (navbar switches, contact form) are not steering
+      const t = e.target;
+      if (t && (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName))) return;
+      if (key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        this.stop('escape');
+        return;
+      }
+      if (!KEYS[key]) return;
+      e.preventDefault(); // keep arrows from scrolling the page
+      this.held.add(key);
+    }
+
+    _sizeCanvas() {
+      const dpr = window.devicePixelRatio || 1;
+      const { width, height } = this.flight;
+      this.canvas.width = Math.round(width * dpr);
+      this.canvas.height = Math.round(height * dpr);
+      this.canvas.style.width = `${width}px`;
+      this.canvas.style.height = `${height}px`;
+      this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    // Desired heading from held keys or the drag point; null = hold course
+    _desiredHeading() {
+      let vx = 0, vy = 0;
+      this.held.forEach(k => { vx += KEYS[k][0]; vy += KEYS[k][1]; });
+      if (vx || vy) return Math.atan2(vy, vx);
+      if (this.dragPoint) {
+        const dx = this.dragPoint.x - this.flight.x;
+        const dy = this.dragPoint.y - this.flight.y;
+        if (Math.hypot(dx, dy) > 12) return Math.atan2(dy, dx);
+      }
+      return null;
+    }
+
+    _spawnStar(now) {
+      const { width, height } = this.flight;
+      const m = this.opts.spawnMargin;
+      let x, y, tries = 0;
+      do {
+        x = m + this.rng() * (width - 2 * m);
+        y = m + this.rng() * (height - 2 * m);
+        tries++;
+      } while (tries < 10 && (this.flight.insideObstacle(x, y) || Math.hypot(x - this.flight.x, y - this.flight.y) < 120));
+      this.stars.push({ x, y, r: this.opts.starRadius, born: now });
+    }
+
+    _spawnAsteroid() {
+      const { width, height } = this.flight;
+      const r = 14 + this.rng() * 16;
+      const speed = this.opts.asteroidSpeed * (0.7 + this.rng() * 0.6);
+      const side = Math.floor(this.rng() * 4);
+      let x, y;
+      if (side === 0) { x = -r; y = this.rng() * height; }
+      else if (side === 1) { x = width + r; y = this.rng() * height; }
+      else if (side === 2) { x = this.rng() * width; y = -r; }
+      else { x = this.rng() * width; y = height + r; }
+      // Aim roughly through the middle so it crosses the play area
+      const aim = Math.atan2(height * (0.3 + this.rng() * 0.4) - y, width * (0.3 + this.rng() * 0.4) - x);
+      const shape = Array.from({ length: 9 }, () => 0.75 + this.rng() * 0.35);
+      this.asteroids.push({ x, y, r, vx: Math.cos(aim) * speed, vy: Math.sin(aim) * speed, rot: 0, spin: (this.rng() - 0.5) * 2, shape });
+    }
+
+    _step(now) {
+      if (!this.running) return;
+      const dt = Math.min((now - this.last) / 1000, 0.06);
+      this.last = now;
+      const o = this.opts;
+      const f = this.flight;
+      const remaining = o.durationMs - (now - this.startedAt);
+      if (remaining <= 0) { this.stop('time'); return; }
+
+      f.steer(this._desiredHeading());
+
+      // Spawning
+      if (now >= this.nextStarAt && this.stars.length < o.maxStars) {
+        this._spawnStar(now);
+        this.nextStarAt = now + o.starEveryMs;
+      }
+      if (now >= this.nextAsteroidAt) {
+        this._spawnAsteroid();
+        this.nextAsteroidAt = now + o.asteroidEveryMs * (0.6 + this.rng() * 0.8);
+      }
+
+      // Motion
+      this.asteroids.forEach(a => { a.x += a.vx * dt; a.y += a.vy * dt; a.rot += a.spin * dt; });
+      this.asteroids = this.asteroids.filter(a =>
+        a.x > -a.r * 2 && a.x < f.width + a.r * 2 && a.y > -a.r * 2 && a.y < f.height + a.r * 2);
+      this.stars = this.stars.filter(st => now - st.born < o.starLifeMs);
+
+      // Collisions (circle vs circle around the rocket's centre)
+      const rr = Math.max(f.halfW, f.halfH) * 0.7;
+      this.stars = this.stars.filter(st => {
+        if (Math.hypot(st.x - f.x, st.y - f.y) > st.r + rr) return true;
+        this.score += 1;
+        this._updateHud();
+        return false;
+      });
+      if (now >= this.hitUntil) {
+        f.el.classList.remove('is-hit');
+        const hit = this.asteroids.find(a => Math.hypot(a.x - f.x, a.y - f.y) < a.r * 0.85 + rr);
+        if (hit) {
+          this.score = Math.max(0, this.score - o.asteroidPenalty);
+          this.hitUntil = now + o.hitGraceMs;
+          f.el.classList.add('is-hit');
+          this._updateHud();
+        }
+      }
+
+      this._draw(now);
+      this._updateClock(remaining);
+      this.rafId = requestAnimationFrame(this._frame);
+    }
+
+    _draw(now) {
+      const c = this.ctx;
+      const { width, height } = this.flight;
+      c.clearRect(0, 0, width, height);
+
+      this.stars.forEach(st => {
+        const age = (now - st.born) / this.opts.starLifeMs;
+        const twinkle = 1 + 0.12 * Math.sin(now / 140 + st.x);
+        c.globalAlpha = age > 0.8 ? (1 - age) / 0.2 : 1;
+        c.beginPath();
+        for (let i = 0; i < 10; i++) {
+          const rad = (i % 2 ? st.r * 0.45 : st.r) * twinkle;
+          const ang = -Math.PI / 2 + i * Math.PI / 5;
+          c.lineTo(st.x + Math.cos(ang) * rad, st.y + Math.sin(ang) * rad);
+        }
+        c.closePath();
+        c.fillStyle = '#facc15';
+        c.strokeStyle = '#ca8a04';
+        c.lineWidth = 1.5;
+        c.fill();
+        c.stroke();
+      });
+      c.globalAlpha = 1;
+
+      this.asteroids.forEach(a => {
+        c.beginPath();
+        a.shape.forEach((k, i) => {
+          const ang = a.rot + i * (Math.PI * 2 / a.shape.length);
+          c.lineTo(a.x + Math.cos(ang) * a.r * k, a.y + Math.sin(ang) * a.r * k);
+        });
+        c.closePath();
+        c.fillStyle = '#9ca3af';
+        c.strokeStyle = '#4b5563';
+        c.lineWidth = 2;
+        c.fill();
+        c.stroke();
+      });
+    }
+
+    _updateHud() {
+      if (!this.hud) return;
+      const score = this.hud.querySelector('[data-hud="score"]');
+      const best = this.hud.querySelector('[data-hud="best"]');
+      if (score) score.textContent = String(this.score);
+      if (best) best.textContent = String(Math.max(this.best, 0));
+    }
+
+    _updateClock(remainingMs) {
+      const time = this.hud && this.hud.querySelector('[data-hud="time"]');
+      const secs = String(Math.ceil(remainingMs / 1000));
+      if (time && time.textContent !== secs) time.textContent = secs;
+    }
+  }
+
+  StarGame.DEFAULTS = {
+    hud: null,                 // element with [data-hud="score" | "time" | "best"] slots
+    durationMs: 30000,
+    maxStars: 4,
+    starEveryMs: 900,
+    starLifeMs: 7000,
+    starRadius: 13,
+    asteroidEveryMs: 2200,
+    asteroidSpeed: 90,         // px/s
+    asteroidPenalty: 2,        // stars lost per hit
+    hitGraceMs: 1000,          // invulnerable after a hit
+    spawnMargin: 40,
+    rng: Math.random,
+    clock: () => performance.now()
+  };
+
+  return StarGame;
+})();
+
+// Hero rocket: parked above the H1. Click to launch, or auto-launch after 2s; click again to loop.
+// Always animates (ignores prefers-reduced-motion for this interactive element).
 document.addEventListener('DOMContentLoaded', () => {
   const rocket = document.querySelector('.rocket');
   const hero = document.querySelector('header#home') || document.querySelector('header.fullpage') || document.querySelector('header');
-  const title = hero ? hero.querySelector('h1') : null;
   if (!rocket || !hero) return;
 
-  // Ensure rocket is above overlays
-  rocket.style.zIndex = '3000';
+  // Ensure rocket is above overlays
+  rocket.style.zIndex = '3000';
+
+  const POINTER_KEY = 'rocket-pointer';
+  const POINTER_MODES = ['chase', 'flee'];
+
+  const flight = new RocketFlight(rocket, {
+    bounds: hero,
+    anchor: hero.querySelector('h1'),
+    autoLaunchDelay: 2000,
+    obstacles: 'h1, p, .chip, a, button',
+    pointer: pointerChoice()
+  });
+
+  // Pointer mode toggle (off → chase → flee), offered in flight. The visitor's last choice is kept;
+  // data-pointer="chase" | "flee" on the rocket sets the default.
+  const pointerBtn = hero.querySelector('.rocket-pointer');
+
+  function pointerChoice() {
+    let saved = null;
+    try { saved = localStorage.getItem(POINTER_KEY); } catch {}
+    const choice = saved !== null ? saved : rocket.dataset.pointer;
+    return POINTER_MODES.includes(choice) ? choice : null;
+  }
+
+  function showPointerMode() {
+    if (!pointerBtn) return;
+    const mode = flight.pointerMode || 'off';
+    pointerBtn.dataset.i18n = `hero.pointer.${mode}`; // keeps the label in step with language switches
+    pointerBtn.textContent = I18n.t(`hero.pointer.${mode}`);
+  }
+
+  if (pointerBtn) {
+    I18n.ready.then(showPointerMode);
+    pointerBtn.addEventListener('click', () => {
+      const order = [null, ...POINTER_MODES];
+      const next = order[(order.indexOf(flight.pointerMode) + 1) % order.length];
+      flight.setPointerMode(next);
+      try { localStorage.setItem(POINTER_KEY, next || 'off'); } catch {}
+      showPointerMode();
+    });
+    flight.addEventListener('launch', () => { pointerBtn.hidden = false; });
+  }
+
+  // "Collect the stars": offered once the rocket is flying
+  const playBtn = hero.querySelector('.rocket-play');
+  const hud = hero.querySelector('.rocket-hud');
+  const status = hero.querySelector('.rocket-game-status');
+  if (!playBtn || typeof StarGame !== 'function') return;
+
+  const game = new StarGame(flight, { hud });
+
+  flight.addEventListener('launch', () => { playBtn.hidden = false; });
+
+  playBtn.addEventListener('click', () => {
+    flight.measure(); // hero size may have changed since launch
+    if (!game.start()) return;
+    playBtn.hidden = true;
+    if (pointerBtn) pointerBtn.hidden = true; // hand steering ignores the pointer
+    if (hud) {
+      hud.querySelector('[data-hud="result"]').textContent = '';
+      hud.hidden = false;
+    }
+    hero.classList.add('is-playing');
+    if (status) status.textContent = I18n.t('hero.gameOn');
+  });
+
+  game.addEventListener('end', (e) => {
+    const { reason, score, best, isBest } = e.detail;
+    hero.classList.remove('is-playing');
+    playBtn.hidden = false;
+    if (pointerBtn) pointerBtn.hidden = false;
+    playBtn.dataset.i18n = 'hero.playAgain'; // keeps the label in step with language switches
+    playBtn.textContent = I18n.t('hero.playAgain');
+    if (reason === 'time') {
+      const msg = isBest ? I18n.t('hero.newBest', { score }) : I18n.t('hero.timeUp', { score, best });
+      if (status) status.textContent = msg;
+      if (hud) {
+        hud.querySelector('[data-hud="result"]').textContent = msg;
+        setTimeout(() => { if (!game.running) hud.hidden = true; }, 4000);
+      }
+    } else if (hud) {
+      hud.hidden = true;
+    }
+    if (reason === 'time') playBtn.focus({ preventScroll: true });
+  });
+});
+
+// ===== Typewriter: types, holds and deletes a list of phrases on a heading =====
+// Markup: <h2 class="typewriter" data-phrases="First..|Second.."> (or a single data-text), with
+// optional data-type-speed / data-delete-speed / data-hold (ms) and data-loop (passes through the
+// list, or "infinite"). Finite runs come to rest on the first phrase. That phrase sits in a
+// visually-hidden label from the start so screen readers never meet an empty heading; the
+// animated copy is aria-hidden. Under prefers-reduced-motion the first phrase is shown as-is.
+const Typewriter = (function () {
+  const instances = new WeakMap();
+  const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+  // Type whole grapheme clusters so Thai vowels/tone marks and emoji never appear half-drawn
+  const segmenter = typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function'
+    ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+    : null;
+  const graphemes = (s) => (segmenter ? Array.from(segmenter.segment(s), g => g.segment) : Array.from(s));
+
+  function num(v) {
+    return v === undefined || v === '' || isNaN(+v) ? undefined : +v;
+  }
+
+  function optionsFromData(el) {
+    const d = el.dataset;
+    const out = {};
+    if (num(d.typeSpeed) !== undefined) out.typeSpeed = num(d.typeSpeed);
+    if (num(d.deleteSpeed) !== undefined) out.deleteSpeed = num(d.deleteSpeed);
+    if (num(d.hold) !== undefined) out.hold = num(d.hold);
+    if (d.loop) out.loop = d.loop === 'infinite' ? Infinity : Math.max(1, Math.floor(+d.loop) || 1);
+    return out;
+  }
+
+  class Typewriter extends EventTarget {
+    constructor(el, options = {}) {
+      super();
+      this.el = el;
+      this.opts = Object.assign({}, Typewriter.DEFAULTS, optionsFromData(el), options);
+      this.fallbackText = el.textContent.trim(); // used when there is no data-phrases / data-text
+      this.phrases = [];
+      this.step = 0;       // phrases typed so far in this run
+      this.chars = [];     // graphemes of the current phrase
+      this.count = 0;      // graphemes currently shown
+      this.timer = null;
+      this.running = false;
+      this.done = false;
+
+      el.textContent = '';
+      this.label = document.createElement('span');
+      this.label.className = 'visually-hidden';
+      this.screen = document.createElement('span');
+      this.screen.className = 'typewriter__text';
+      this.screen.setAttribute('aria-hidden', 'true');
+      this.caret = document.createElement('span');
+      this.caret.className = 'typewriter__caret';
+      this.caret.setAttribute('aria-hidden', 'true');
+      el.append(this.label, this.screen, this.caret);
+
+      instances.set(el, this);
+      this.reset();
+    }
+
+    // The instance controlling an element, if any
+    static for(el) {
+      return instances.get(el) || null;
+    }
+
+    // Phrases from the markup: data-phrases ("a|b|c"), then data-text, then the original text
+    readPhrases() {
+      const d = this.el.dataset;
+      const list = d.phrases ? d.phrases.split('|') : [d.text || this.fallbackText];
+      return list.map(p => p.trim()).filter(Boolean);
+    }
+
+    // Re-read the phrases (content or language changed) and wait for start()
+    reset() {
+      this.stop();
+      this.phrases = this.readPhrases();
+      this.label.textContent = this.phrases[0] || '';
+      this.step = 0;
+      this.count = 0;
+      this.done = false;
+      this.el.classList.remove('is-typing', 'is-done');
+      this._render('');
+      if (reducedMotion && reducedMotion.matches) {
+        this._render(this.phrases[0] || '');
+        this._finish();
+      }
+    }
+
+    start() {
+      if (this.running || this.done || !this.phrases.length) return;
+      this.running = true;
+      this.el.classList.add('is-typing');
+      this._load(0);
+      this._type();
+    }
+
+    restart() {
+      this.reset();
+      this.start();
+    }
+
+    stop() {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.running = false;
+    }
+
+    destroy() {
+      this.stop();
+      this.el.classList.remove('is-typing', 'is-done');
+      this.el.textContent = this.phrases[0] || this.fallbackText;
+      instances.delete(this.el);
+    }
+
+    // Total phrases typed in a finite run: every pass through the list, then back to the first
+    get total() {
+      const n = this.phrases.length;
+      if (!isFinite(this.opts.loop)) return Infinity;
+      return n === 1 ? this.opts.loop : n * this.opts.loop + 1;
+    }
+
+    _load(step) {
+      this.step = step;
+      this.chars = graphemes(this.phrases[step % this.phrases.length]);
+    }
+
+    _render(text) {
+      this.screen.textContent = text;
+    }
+
+    _type() {
+      if (this.count < this.chars.length) {
+        this.count++;
+        this._render(this.chars.slice(0, this.count).join(''));
+        this.timer = setTimeout(() => this._type(), this.opts.typeSpeed);
+        return;
+      }
+      const index = this.step % this.phrases.length;
+      this.dispatchEvent(new CustomEvent('phrase', { detail: { index, text: this.phrases[index] } }));
+      if (this.step + 1 >= this.total) {
+        this._finish();
+        return;
+      }
+      this.timer = setTimeout(() => this._delete(), this.opts.hold);
+    }
+
+    _delete() {
+      if (this.count > 0) {
+        this.count--;
+        this._render(this.chars.slice(0, this.count).join(''));
+        this.timer = setTimeout(() => this._delete(), this.opts.deleteSpeed);
+        return;
+      }
+      this._load(this.step + 1);
+      this.timer = setTimeout(() => this._type(), this.opts.gap);
+    }
+
+    _finish() {
+      this.stop();
+      this.done = true;
+      this.el.classList.remove('is-typing');
+      this.el.classList.add('is-done');
+      this.dispatchEvent(new CustomEvent('done'));
+    }
+  }
+
+  Typewriter.DEFAULTS = {
+    typeSpeed: 70,      // ms per character
+    deleteSpeed: 35,    // ms per character
+    hold: 1600,         // ms a finished phrase stays before deleting
+    gap: 300,           // ms between deleting one phrase and typing the next
+    loop: 1             // passes through the phrase list; Infinity to never stop
+  };
+
+  return Typewriter;
+})();
+
+// Typewriter headings start the first time they're mostly on screen, and start over
+// (with freshly translated phrases) after a language switch
+document.addEventListener('DOMContentLoaded', () => {
+  const headings = document.querySelectorAll('.typewriter');
+  if (!headings.length) return;
+
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      observer.unobserve(entry.target);
+      const tw = Typewriter.for(entry.target);
+      if (tw) tw.start();
+    });
+  }, { threshold: 0.6 });
+
+  headings.forEach(el => {
+    new Typewriter(el);
+    observer.observe(el);
+  });
+
+  document.addEventListener('localechange', () => {
+    headings.forEach(el => {
+      const tw = Typewriter.for(el);
+      if (!tw) return;
+      tw.reset();
+      observer.observe(el);
+    });
+  });
+});
+
+  // Reveal #who chat bubbles in sequence the first time they enter the viewport
+document.addEventListener('DOMContentLoaded', () => {
+  const whoSection = document.querySelector('#who');
+  if (!whoSection) return;
+
+  // Looked up when they play: the catalog can change how many intro bubbles there are
+  const intro = () => whoSection.querySelectorAll('.imessages .bubble[data-i18n-html]');
+  if (!intro().length) return;
+
+  const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  // Hide initially (no layout shift; just opacity/transform)
+  intro().forEach(b => b.classList.add('is-hidden'));
+
+  const observer = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      if (whoSection.dataset.animated === 'true') break; // run once only
+      whoSection.dataset.animated = 'true';
+      const bubbles = intro();
+
+      if (prefersReduced) {
+        bubbles.forEach(b => b.classList.remove('is-hidden'));
+        revealed();
+      } else {
+        bubbles.forEach((b, i) => {
+          setTimeout(() => {
+            b.classList.remove('is-hidden');
+            if (i === bubbles.length - 1) revealed();
+          }, i * 1200 + 500); // stagger
+        });
+      }
+
+      observer.disconnect();
+      break;
+    }
+  }, { threshold: 0.35 });
+
+  // Lets the FAQ chatbot wait until the intro has played
+  function revealed() {
+    whoSection.dataset.revealed = 'true';
+    whoSection.dispatchEvent(new CustomEvent('who:revealed'));
+  }
+
+  observer.observe(whoSection);
+});
+
+// ===== FAQ chatbot in #who: quick replies, free-text questions and scripted answers =====
+// The conversation is a small decision tree in data/faq.json: each node has a question (used for
+// its quick-reply chip), keywords for free-text matching, answer bubbles and follow-up node ids.
+// Runs entirely in the page; nothing is sent anywhere.
+document.addEventListener('DOMContentLoaded', () => {
+  const whoSection = document.getElementById('who');
+  const bot = document.getElementById('faqBot');
+  if (!whoSection || !bot) return;
+
+  const thread = whoSection.querySelector('.imessages');
+  const replies = bot.querySelector('.faq__replies');
+  const askForm = bot.querySelector('.faq__ask');
+  const input = askForm && askForm.elements.q;
+  const restartBtn = bot.querySelector('[data-faq="restart"]');
+  if (!thread || !replies) return;
+
+  const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  const TYPING_MS_PER_CHAR = 18;
+  const TYPING_MIN_MS = 450;
+  const TYPING_MAX_MS = 1600;
+
+  let faq = null;        // data/faq.json
+  let offered = [];      // node ids currently shown as chips
+  let busy = false;      // an answer is being "typed"
+  let runId = 0;         // bumped on restart so pending answers are dropped
+
+  function validateFaq(f) {
+    const problems = [];
+    if (!f || typeof f !== 'object') return ['expected a JSON object'];
+    const nodes = f.nodes && typeof f.nodes === 'object' ? f.nodes : null;
+    if (!nodes) return ['"nodes" must be an object of questions'];
+    const known = (id) => Object.prototype.hasOwnProperty.call(nodes, id);
+    if (!Array.isArray(f.start) || !f.start.length) problems.push('"start" must list at least one node id');
+    else f.start.filter(id => !known(id)).forEach(id => problems.push(`"start" refers to unknown node "${id}"`));
+    if (!Array.isArray(f.fallback) || !f.fallback.length) problems.push('"fallback" must list at least one message');
+    Object.keys(nodes).forEach(id => {
+      const n = nodes[id];
+      if (!n || typeof n.question !== 'string' || !n.question) problems.push(`node "${id}" is missing "question"`);
+      if (!n || !Array.isArray(n.answer) || !n.answer.length) problems.push(`node "${id}" needs at least one "answer" message`);
+      ((n && n.followUps) || []).filter(f2 => !known(f2)).forEach(f2 => problems.push(`node "${id}" follows up with unknown node "${f2}"`));
+    });
+    return problems;
+  }
+
+  function node(id) {
+    return I18n.localize(faq.nodes[id]);
+  }
+
+  // --- Matching free text ---
+  const normalize = (s) => String(s).toLowerCase().replace(/[’‘]/g, "'").replace(/\s+/g, ' ').trim();
+  const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+  // Latin keywords match whole words (with an optional plural s); others (Thai has no spaces) match anywhere
+  function hasKeyword(text, keyword) {
+    const k = normalize(keyword);
+    if (!k) return false;
+    if (!/^[a-z0-9' -]+$/.test(k)) return text.includes(k);
+    return new RegExp(`(^|[^a-z0-9])${escapeRe(k)}s?([^a-z0-9]|$)`).test(text);
+  }
+
+  // Best node for a question: most keyword hits (English and current-language keywords); null if none
+  function match(question) {
+    const text = normalize(question);
+    let best = null;
+    let bestScore = 0;
+    Object.keys(faq.nodes).forEach(id => {
+      const raw = faq.nodes[id];
+      const local = node(id);
+      const keywords = new Set([...(raw.keywords || []), ...(local.keywords || [])]);
+      let score = 0;
+      keywords.forEach(k => { if (hasKeyword(text, k)) score++; });
+      if (normalize(local.question) === text) score += 10;
+      if (score > bestScore) { best = id; bestScore = score; }
+    });
+    return best;
+  }
+
+  // --- Thread ---
+  function bubble(kind, text) {
+    const b = document.createElement('div');
+    b.className = `bubble ${kind} faq-msg`;
+    b.textContent = text;
+    thread.appendChild(b);
+    return b;
+  }
+
+  function showTyping() {
+    const b = document.createElement('div');
+    b.className = 'bubble incoming faq-msg faq-typing';
+    b.setAttribute('role', 'status');
+    b.setAttribute('aria-label', I18n.t('faq.typing'));
+    b.innerHTML = '<span></span><span></span><span></span>';
+    thread.appendChild(b);
+    return b;
+  }
+
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function answer(messages, followUps) {
+    const run = runId;
+    busy = true;
+    bot.classList.add('is-busy');
+    renderReplies([]);
+    for (const text of messages) {
+      if (!prefersReduced) {
+        const typing = showTyping();
+        await wait(Math.min(TYPING_MAX_MS, TYPING_MIN_MS + text.length * TYPING_MS_PER_CHAR));
+        typing.remove();
+      }
+      if (run !== runId) return; // restarted meanwhile
+      bubble('incoming', text);
+    }
+    busy = false;
+    bot.classList.remove('is-busy');
+    renderReplies(followUps && followUps.length ? followUps : faq.start);
+  }
+
+  function ask(question, id) {
+    if (busy || !faq) return;
+    bubble('outgoing', question);
+    const target = id || match(question);
+    if (target) {
+      const n = node(target);
+      answer(n.answer, n.followUps);
+    } else {
+      answer(I18n.localize(faq).fallback, faq.start);
+    }
+  }
+
+  // --- Controls ---
+  function renderReplies(ids) {
+    offered = ids;
+    replies.innerHTML = '';
+    ids.forEach(id => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chip chip--link faq__reply';
+      btn.dataset.node = id;
+      btn.textContent = node(id).question;
+      replies.appendChild(btn);
+    });
+  }
+
+  function restart() {
+    runId++;
+    busy = false;
+    bot.classList.remove('is-busy');
+    thread.querySelectorAll('.faq-msg').forEach(m => m.remove());
+    if (input) input.value = '';
+    renderReplies(faq.start);
+  }
+
+  replies.addEventListener('click', (e) => {
+    const btn = e.target.closest('.faq__reply');
+    if (!btn) return;
+    ask(btn.textContent, btn.dataset.node);
+  });
+
+  askForm && askForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const q = input.value.trim();
+    if (!q || busy) return;
+    input.value = '';
+    ask(q);
+  });
+
+  restartBtn && restartBtn.addEventListener('click', () => {
+    restart();
+    const first = replies.querySelector('button');
+    if (first) first.focus();
+  });
+
+  // Chips follow the page language; the conversation so far stays as it was
+  document.addEventListener('localechange', () => { if (faq && !busy) renderReplies(offered); });
+
+  // Offer the chips once the intro bubbles have played
+  function reveal() {
+    if (!faq || whoSection.dataset.revealed !== 'true') return;
+    bot.hidden = false;
+  }
+  whoSection.addEventListener('who:revealed', reveal);
+
+  Promise.all([SiteData.fetchJson('faq'), I18n.ready])
+    .then(([data]) => {
+      const problems = validateFaq(data);
+      if (problems.length) throw SiteData.fail('data/faq.json is invalid', problems);
+      faq = data;
+      renderReplies(faq.start);
+      reveal();
+    })
+    .catch(err => {
+      bot.hidden = false;
+      if (askForm) askForm.hidden = true;
+      if (restartBtn) restartBtn.hidden = true;
+      SiteData.renderError(replies, I18n.t('faq.error'), err);
+    });
+});
+
+// Time-zone helpers shared by the intake form and the intro-call slot picker
+const TimeZones = (function () {
+  const formatters = {};
+
+  function detect() {
+    try { return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'; } catch { return 'UTC'; }
+  }
+
+  function isValid(name) {
+    if (!name) return false;
+    try { new Intl.DateTimeFormat('en-US', { timeZone: name }); return true; } catch { return false; }
+  }
+
+  function list() {
+    return typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [detect()];
+  }
+
+  // Wall-clock fields of an instant in a zone, as a UTC timestamp (so offsets can be diffed)
+  function wallClock(zone, utcMs) {
+    let fmt = formatters[zone];
+    if (!fmt) {
+      fmt = formatters[zone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone, hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit'
+      });
+    }
+    const p = {};
+    fmt.formatToParts(new Date(utcMs)).forEach(part => { p[part.type] = part.value; });
+    return Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour % 24, +p.minute);
+  }
+
+  function offsetMs(zone, utcMs) {
+    return wallClock(zone, Math.floor(utcMs / 60000) * 60000) - Math.floor(utcMs / 60000) * 60000;
+  }
+
+  // UTC instant for a wall-clock time in a zone. Returns null for times skipped by a DST jump;
+  // ambiguous times (the repeated hour when clocks go back) resolve to the first occurrence.
+  function toUtc(zone, year, month, day, hour, minute) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute);
+    let utc = wall - offsetMs(zone, wall);
+    utc = wall - offsetMs(zone, utc);
+    return wallClock(zone, utc) === wall ? utc : null;
+  }
+
+  return { detect, isValid, list, wallClock, offsetMs, toUtc };
+})();
+
+// Clipboard helper shared by the email chip and the intake form
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+  } catch {
+    // Fallback for older browsers
+    const ta = document.createElement('textarea');
+    ta.value = text;
+    ta.setAttribute('readonly', '');
+    ta.style.position = 'fixed';
+    ta.style.top = '-1000px';
+    document.body.appendChild(ta);
+    ta.select();
+    document.execCommand('copy');
+    document.body.removeChild(ta);
+  }
+}
+
+// Download helper: saves a Blob as a file through a temporary link
+function downloadFile(name, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Email chip: single-click/tap copies email; double-click/tap opens default mail app
+// Works for both desktop and touch (mobile). Add CSS for .email-chip.copied if you want a toast.
+document.addEventListener('DOMContentLoaded', () => {
+  const DBL_CLICK_MS = 300;  // desktop double-click window
+  const DBL_TAP_MS   = 320;  // mobile double-tap window
+  const isTouchPrimary = window.matchMedia('(hover: none)').matches;
+
+  function emailFromHref(href) {
+    return href.replace(/^mailto:/, '').split('?')[0];
+  }
+
+  document.querySelectorAll('.email-chip[href^="mailto:"]').forEach(chip => {
+    let singleTimer = null;
+    let lastTapTime = 0;
+    const href = chip.getAttribute('href');
+    // On touch-primary devices, neutralize native mailto navigation so single tap won't open Mail
+    const mailtoHref = href;
+    if (isTouchPrimary) {
+      chip.dataset.mailto = href;
+      chip.removeAttribute('href');        // prevent default anchor navigation on tap
+      chip.setAttribute('role', 'button'); // keep accessible semantics
+    }
+    const email = emailFromHref(href);
+
+    // Desktop: single-click copies (delayed), double-click opens mail
+    chip.addEventListener('click', (e) => {
+      // Always block native navigation; we control both desktop & touch behavior
+      e.preventDefault();
+      e.stopPropagation();
+      if (isTouchPrimary) return; // touch handled in pointer events
+
+      if (singleTimer) return; // debounce double-click
+      singleTimer = setTimeout(async () => {
+        await copyToClipboard(email);
+        chip.classList.add('copied');
+        setTimeout(() => chip.classList.remove('copied'), 1000);
+        singleTimer = null;
+      }, DBL_CLICK_MS);
+    });
+
+    chip.addEventListener('dblclick', (e) => {
+      if (isTouchPrimary) return;
+      e.preventDefault();
+      if (singleTimer) { clearTimeout(singleTimer); singleTimer = null; }
+      // Open default mail client
+      window.location.href = mailtoHref;
+    });
+
+    // Mobile/tablet: detect double-tap manually on pointerup
+    chip.addEventListener('pointerup', (e) => {
+      if (!isTouchPrimary || (e.pointerType !== 'touch' && e.pointerType !== 'pen')) return;
+      // Prevent synthesized click from firing mailto and stop bubbling
+      e.preventDefault();
+      e.stopPropagation();
+      // Cancel any pending desktop single-click timer just in case
+      if (singleTimer) { clearTimeout(singleTimer); singleTimer = null; }
+
+      const now = e.timeStamp;
+      const delta = now - lastTapTime;
+      const isDoubleTap = lastTapTime && delta > 0 && delta <= DBL_TAP_MS;
+      lastTapTime = now;
+
+      if (isDoubleTap) {
+        // Double-tap: open Mail
+        window.location.href = mailtoHref;
+      } else {
+        // Single-tap: copy + start persistent glow (kept until refresh)
+        copyToClipboard(email).then(() => {
+          chip.classList.add('copied');
+          setTimeout(() => chip.classList.remove('copied'), 1000);
+        });
+        chip.classList.add('touch-glow');
+      }
+    }, { passive: false });
+  });
+});
+
+// ---- Intake form (#contact): multi-step, validated per step, draft kept in localStorage ----
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('intakeForm');
+  if (!form) return;
+
+  const DRAFT_KEY = 'intake-draft-v1';
+  const MULTI = ['interests', 'callWindows']; // checkbox groups stored as arrays
+  const steps    = Array.from(form.querySelectorAll('.intake__step'));
+  const marks    = Array.from(form.querySelectorAll('.intake__progress li'));
+  const backBtn  = form.querySelector('[data-intake="back"]');
+  const nextBtn  = form.querySelector('[data-intake="next"]');
+  const copyBtn  = form.querySelector('[data-intake="copy"]');
+  const clearBtn = form.querySelector('[data-intake="clear"]');
+  const summary  = document.getElementById('intakeSummary');
+  const status   = form.querySelector('.intake__status');
+  const tzInput  = form.elements.timeZone;
+  const email    = (form.getAttribute('action') || '').replace(/^mailto:/, '');
+
+  let current = 0;
+
+  // --- Time zones ---
+  const detectedZone = TimeZones.detect();
+
+  const tzList = document.getElementById('intake-tz-list');
+  if (tzList) {
+    const frag = document.createDocumentFragment();
+    TimeZones.list().forEach(z => {
+      const opt = document.createElement('option');
+      opt.value = z;
+      frag.appendChild(opt);
+    });
+    tzList.appendChild(frag);
+  }
+
+  // --- Draft persistence ---
+  function readValues() {
+    const values = {};
+    MULTI.forEach(name => { values[name] = []; });
+    for (const [name, value] of new FormData(form)) {
+      if (MULTI.includes(name)) values[name].push(value);
+      else values[name] = String(value).trim();
+    }
+    return values;
+  }
+
+  function writeValues(values) {
+    Array.from(form.elements).forEach(el => {
+      if (!el.name || !(el.name in values)) return;
+      const v = values[el.name];
+      if (el.type === 'checkbox') el.checked = [].concat(v).includes(el.value);
+      else if (el.type === 'radio') el.checked = v === el.value;
+      else el.value = v;
+    });
+  }
+
+  function saveDraft() {
+    try {
+      localStorage.setItem(DRAFT_KEY, JSON.stringify({ step: current, values: readValues() }));
+    } catch {}
+  }
+
+  function loadDraft() {
+    try { return JSON.parse(localStorage.getItem(DRAFT_KEY) || 'null'); } catch { return null; }
+  }
+
+  // --- Validation ---
+  function errorFor(field) {
+    if (field.matches('[data-required-group]')) {
+      return field.querySelector('input:checked') ? '' : I18n.t('intake.error.group');
+    }
+    const input = field.querySelector('input, select, textarea');
+    if (!input) return '';
+    const v = input.value.trim();
+    if (input.required && !v) return I18n.t('intake.error.required');
+    if (!v) return '';
+    if (input.type === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v)) return I18n.t('intake.error.email');
+    if (input.type === 'tel' && !/^\+?[\d\s().-]{7,}$/.test(v)) return I18n.t('intake.error.phone');
+    if (input.hasAttribute('data-timezone') && !TimeZones.isValid(v)) return I18n.t('intake.error.timeZone');
+    return '';
+  }
+
+  function showError(field, message) {
+    const control = field.matches('[data-required-group]') ? field : field.querySelector('input, select, textarea');
+    let note = field.querySelector('.intake__error');
+    if (!message) {
+      if (note) note.remove();
+      control.removeAttribute('aria-invalid');
+      return;
+    }
+    if (!note) {
+      note = document.createElement('p');
+      note.className = 'intake__error';
+      const key = control.id || (control.querySelector('input') || {}).name || 'intake';
+      note.id = `${key}-error`;
+      field.appendChild(note);
+      control.setAttribute('aria-describedby', note.id);
+    }
+    note.textContent = message;
+    control.setAttribute('aria-invalid', 'true');
+  }
+
+  function isStepValid(i) {
+    return !Array.from(steps[i].querySelectorAll('.intake__field')).some(errorFor);
+  }
+
+  function validateStep(i) {
+    let firstBad = null;
+    steps[i].querySelectorAll('.intake__field').forEach(field => {
+      const message = errorFor(field);
+      showError(field, message);
+      if (message && !firstBad) firstBad = field;
+    });
+    if (firstBad) {
+      const target = firstBad.querySelector('input, select, textarea');
+      if (target) target.focus();
+    }
+    return !firstBad;
+  }
+
+  // --- Summary / email ---
+  function buildSummary(v) {
+    const list = (items) => (items && items.length ? items.join(', ') : '—');
+    const lines = [
+      'Hi Ice,',
+      '',
+      "I'd like to set up a free intro call about project mentorship.",
+      '',
+      'STUDENT',
+      `- Name: ${v.studentName || '—'}`,
+      `- Grade: ${v.grade || '—'}`,
+      '',
+      'INTERESTS & EXPERIENCE',
+      `- Interests: ${list(v.interests)}`,
+      `- Prior experience: ${v.experience || '—'}`
+    ];
+    if (v.experienceNotes) lines.push(`- Notes: ${v.experienceNotes}`);
+    lines.push(
+      '',
+      'INTRO CALL',
+      `- Time zone: ${v.timeZone || '—'}`,
+      `- Preferred windows: ${list(v.callWindows)}`
+    );
+    if (v.callNotes) lines.push(`- Specific times: ${v.callNotes}`);
+    lines.push(
+      '',
+      'PARENT / GUARDIAN',
+      `- Name: ${v.parentName || '—'}`,
+      `- Email: ${v.parentEmail || '—'}`
+    );
+    if (v.parentPhone) lines.push(`- Phone: ${v.parentPhone}`);
+    if (v.estimate) lines.push('', v.estimate);
+    lines.push('', 'Thanks!');
+    return lines.join('\n');
+  }
+
+  function mailtoFor(v) {
+    const subject = `Project mentorship intro: ${v.studentName}${v.grade ? ` (grade ${v.grade})` : ''}`;
+    const body = buildSummary(v).replace(/\n/g, '\r\n');
+    return `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  }
+
+  // --- Steps ---
+  function say(message) {
+    if (status) status.textContent = message;
+  }
+
+  function showStep(i, { focus = true } = {}) {
+    current = Math.max(0, Math.min(i, steps.length - 1));
+    steps.forEach((step, n) => { step.hidden = n !== current; });
+    marks.forEach((li, n) => {
+      li.classList.toggle('is-done', n < current);
+      if (n === current) li.setAttribute('aria-current', 'step'); else li.removeAttribute('aria-current');
+    });
+    const isLast = current === steps.length - 1;
+    if (backBtn) backBtn.hidden = current === 0;
+    if (nextBtn) nextBtn.hidden = isLast;
+    if (isLast && summary) summary.textContent = buildSummary(readValues());
+    if (focus) {
+      const target = isLast ? summary : steps[current].querySelector('input, select, textarea');
+      if (target) target.focus();
+    }
+  }
+
+  nextBtn && nextBtn.addEventListener('click', () => {
+    if (!validateStep(current)) { say(I18n.t('intake.status.fix')); return; }
+    say('');
+    showStep(current + 1);
+    saveDraft();
+  });
+
+  backBtn && backBtn.addEventListener('click', () => {
+    say('');
+    showStep(current - 1);
+    saveDraft();
+  });
+
+  // Enter in a text field advances instead of submitting early
+  form.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.target.tagName === 'TEXTAREA' || e.target.type === 'submit') return;
+    if (current < steps.length - 1) {
+      e.preventDefault();
+      nextBtn && nextBtn.click();
+    }
+  });
+
+  let saveTimer = null;
+  form.addEventListener('input', (e) => {
+    const field = e.target.closest('.intake__field');
+    if (field && field.querySelector('.intake__error')) showError(field, errorFor(field));
+    if (current === steps.length - 1 && summary) summary.textContent = buildSummary(readValues());
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(saveDraft, 250);
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    // Re-check every step in case a restored draft skipped one
+    const bad = steps.findIndex((_, i) => i < steps.length - 1 && !isStepValid(i));
+    if (bad !== -1) {
+      showStep(bad, { focus: false });
+      validateStep(bad);
+      say(I18n.t('intake.status.missing'));
+      return;
+    }
+    saveDraft();
+    window.location.href = mailtoFor(readValues());
+    say(I18n.t('intake.status.opening'));
+  });
+
+  copyBtn && copyBtn.addEventListener('click', async () => {
+    await copyToClipboard(buildSummary(readValues()));
+    say(I18n.t('intake.status.copied'));
+  });
+
+  clearBtn && clearBtn.addEventListener('click', () => {
+    form.reset();
+    try { localStorage.removeItem(DRAFT_KEY); } catch {}
+    form.querySelectorAll('.intake__field').forEach(field => showError(field, ''));
+    if (tzInput && detectedZone) tzInput.value = detectedZone;
+    showStep(0);
+    say(I18n.t('intake.status.cleared'));
+  });
+
+  // --- Restore ---
+  const draft = loadDraft();
+  if (draft && draft.values) {
+    writeValues(draft.values);
+    showStep(Number(draft.step) || 0, { focus: false });
+    I18n.ready.then(() => say(I18n.t('intake.status.restored')));
+  } else {
+    showStep(0, { focus: false });
+  }
+  if (tzInput && !tzInput.value && detectedZone) tzInput.value = detectedZone;
+
+  // Re-word any visible error notes in the new language (the emailed summary stays in English)
+  document.addEventListener('localechange', () => {
+    form.querySelectorAll('.intake__field').forEach(field => {
+      if (field.querySelector('.intake__error')) showError(field, errorFor(field));
+    });
+  });
+});
+
+// ---- Cost estimator (#help): price range from data/pricing.json, copied or added to the intake email ----
+// All prices and rules (rates, add-ons, commitment discounts, rounding) live in the data file; this
+// block only does arithmetic on { min, max } ranges. Discounts apply to the monthly items only.
+// "placeholder": true marks sample figures; estimates and quotes then say so.
+document.addEventListener('DOMContentLoaded', () => {
+  const box = document.getElementById('estimator');
+  const form = document.getElementById('estimatorForm');
+  if (!box || !form) return;
+
+  const result   = box.querySelector('.estimator__result');
+  const addOnsEl = form.querySelector('.estimator__addons');
+  const copyBtn  = box.querySelector('[data-estimator="copy"]');
+  const emailBtn = box.querySelector('[data-estimator="email"]');
+  const status   = box.querySelector('.estimator__status');
+  const intake   = document.getElementById('intakeForm');
+  const estimateField = intake && intake.elements.estimate;
+
+  // <select name> -> list in pricing.json, and the numeric field each option must have
+  const SELECTS = {
+    length:        { list: 'lengths',        number: 'months' },
+    frequency:     { list: 'frequencies',    number: 'sessionsPerMonth' },
+    sessionLength: { list: 'sessionLengths', number: 'minutes' }
+  };
+
+  let pricing = null;
+  let written = ''; // last quote put into the intake form, so it can follow later changes
+
+  // --- Validation ---
+  const isRange = (r) => r && typeof r.min === 'number' && typeof r.max === 'number' && r.min >= 0 && r.max >= r.min;
+
+  function validateOptions(list, name, check, problems) {
+    if (!Array.isArray(list) || !list.length) {
+      problems.push(`"${name}" must list at least one option`);
+      return;
+    }
+    const seen = {};
+    list.forEach((o, i) => {
+      const where = `${name} #${i + 1}`;
+      if (!o || typeof o.id !== 'string' || !o.id) problems.push(`${where} is missing "id"`);
+      else if (seen[o.id]) problems.push(`${where}: duplicate id "${o.id}"`);
+      else seen[o.id] = true;
+      if (!o || typeof o.label !== 'string' || !o.label) problems.push(`${where} is missing "label"`);
+      const message = o && check(o);
+      if (message) problems.push(`${where}: ${message}`);
+    });
+  }
+
+  function validatePricing(p) {
+    const problems = [];
+    if (!p || typeof p !== 'object') return ['expected a JSON object'];
+    if (!/^[A-Z]{3}$/.test(p.currency || '')) problems.push('"currency" must be a three-letter code like "USD"');
+    if (!isRange(p.hourlyRate)) problems.push('"hourlyRate" must be { "min": …, "max": … } with min ≤ max');
+    if (p.roundTo !== undefined && !(p.roundTo > 0)) problems.push('"roundTo" must be a positive number');
+    if (p.placeholder !== undefined && typeof p.placeholder !== 'boolean') problems.push('"placeholder" must be true or false');
+    Object.values(SELECTS).forEach(({ list, number }) => {
+      validateOptions(p[list], list, o => (o[number] > 0 ? '' : `"${number}" must be a positive number`), problems);
+    });
+    validateOptions(p.support, 'support', o => (isRange(o.monthly) ? '' : '"monthly" must be a { min, max } range'), problems);
+    if (p.addOns !== undefined) {
+      validateOptions(p.addOns, 'addOns', o => {
+        if (!['once', 'month'].includes(o.per)) return '"per" must be "once" or "month"';
+        return isRange(o.price) ? '' : '"price" must be a { min, max } range';
+      }, problems);
+    }
+    (p.discounts || []).forEach((d, i) => {
+      if (!(Number.isInteger(d && d.minMonths) && d.minMonths > 0)) problems.push(`discounts #${i + 1}: "minMonths" must be a positive whole number`);
+      if (!(d && d.percent > 0 && d.percent < 100)) problems.push(`discounts #${i + 1}: "percent" must be between 0 and 100`);
+    });
+    return problems;
+  }
+
+  // --- Arithmetic on ranges ---
+  const range = (min, max = min) => ({ min, max });
+  const add = (a, b) => range(a.min + b.min, a.max + b.max);
+  const scale = (r, k) => range(r.min * k, r.max * k);
+  const round = (r) => {
+    const step = pricing.roundTo || 1;
+    return range(Math.round(r.min / step) * step, Math.round(r.max / step) * step);
+  };
+
+  function chosen(name, list) {
+    const items = pricing[list];
+    return items.find(o => o.id === form.elements[name].value) || items[0];
+  }
+
+  // Best discount the commitment qualifies for (highest percent wins)
+  function discountFor(months) {
+    return (pricing.discounts || [])
+      .filter(d => months >= d.minMonths)
+      .sort((a, b) => b.percent - a.percent)[0] || null;
+  }
+
+  // Every line item is rounded first so the totals add up exactly as shown
+  function estimate() {
+    const length = chosen('length', 'lengths');
+    const frequency = chosen('frequency', 'frequencies');
+    const sessionLength = chosen('sessionLength', 'sessionLengths');
+    const support = chosen('support', 'support');
+    const addOns = (pricing.addOns || []).filter(a => form.elements[`addon-${a.id}`].checked);
+    const monthlyAddOns = addOns.filter(a => a.per === 'month');
+    const onceAddOns = addOns.filter(a => a.per === 'once');
+
+    const sessions = round(scale(pricing.hourlyRate, frequency.sessionsPerMonth * sessionLength.minutes / 60));
+    const monthly = [
+      { item: 'sessions', amount: sessions },
+      ...(support.monthly.max ? [{ item: support, amount: round(support.monthly) }] : []),
+      ...monthlyAddOns.map(a => ({ item: a, amount: round(a.price) }))
+    ];
+    const gross = monthly.reduce((sum, row) => add(sum, row.amount), range(0));
+    const discount = discountFor(length.months);
+    const saving = discount ? round(scale(gross, discount.percent / 100)) : range(0);
+    const perMonth = range(gross.min - saving.min, gross.max - saving.max);
+    const once = onceAddOns.map(a => ({ item: a, amount: round(a.price) }));
+    const oneTime = once.reduce((sum, row) => add(sum, row.amount), range(0));
+
+    return {
+      length, frequency, sessionLength, support, addOns,
+      monthly, discount, saving, perMonth, once, oneTime,
+      total: add(scale(perMonth, length.months), oneTime)
+    };
+  }
+
+  // --- Formatting ---
+  function money(r, locale) {
+    const fmt = new Intl.NumberFormat(locale, { style: 'currency', currency: pricing.currency, maximumFractionDigits: 0 });
+    return r.min === r.max ? fmt.format(r.min) : `${fmt.format(r.min)}–${fmt.format(r.max)}`;
+  }
+
+  // Plain-text quote for the clipboard and the intake email (English, like the rest of the email)
+  function quoteText(e) {
+    const lines = [
+      pricing.placeholder ? 'ESTIMATE (sample prices, to confirm on the intro call)' : 'ESTIMATE (to confirm on the intro call)',
+      `- Plan: ${e.length.label}, ${e.frequency.label.toLowerCase()}, ${e.sessionLength.label} per session`,
+      `- Async support: ${e.support.label}`,
+      `- Add-ons: ${e.addOns.length ? e.addOns.map(a => a.label).join(', ') : 'none'}`,
+      `- Per month: ${money(e.perMonth, 'en-US')}` +
+        (e.discount ? ` (after ${e.discount.percent}% ${e.discount.label.toLowerCase()} discount)` : '')
+    ];
+    if (e.once.length) lines.push(`- One-time add-ons: ${money(e.oneTime, 'en-US')}`);
+    lines.push(`- Total: ${money(e.total, 'en-US')}`);
+    return lines.join('\n');
+  }
+
+  // --- Rendering ---
+  function fillControls() {
+    Object.keys(SELECTS).concat('support').forEach(name => {
+      const select = form.elements[name];
+      const items = pricing[name === 'support' ? 'support' : SELECTS[name].list].map(I18n.localize);
+      const previous = select.value;
+      select.innerHTML = '';
+      items.forEach(o => {
+        const opt = document.createElement('option');
+        opt.value = o.id;
+        opt.textContent = o.label;
+        select.appendChild(opt);
+      });
+      const fallback = items.find(o => o.default) || items[0];
+      select.value = items.some(o => o.id === previous) ? previous : fallback.id;
+    });
+
+    const checked = new Set(Array.from(addOnsEl.querySelectorAll('input:checked'), i => i.value));
+    addOnsEl.querySelectorAll('label').forEach(l => l.remove());
+    addOnsEl.hidden = !(pricing.addOns || []).length;
+    (pricing.addOns || []).map(I18n.localize).forEach(a => {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = `addon-${a.id}`;
+      input.value = a.id;
+      input.checked = checked.has(a.id);
+      const fmt = money(a.price, I18n.locale);
+      label.append(input, ` ${a.label} `);
+      const price = document.createElement('span');
+      price.className = 'estimator__hint';
+      price.textContent = I18n.t(a.per === 'month' ? 'estimator.perMonthPrice' : 'estimator.oncePrice', { price: fmt });
+      label.appendChild(price);
+      addOnsEl.appendChild(label);
+    });
+  }
+
+  function row(tbody, label, amount, className) {
+    const tr = document.createElement('tr');
+    if (className) tr.className = className;
+    const th = document.createElement('th');
+    th.scope = 'row';
+    th.textContent = label;
+    const td = document.createElement('td');
+    td.textContent = amount;
+    tr.append(th, td);
+    tbody.appendChild(tr);
+  }
+
+  function render() {
+    const e = estimate();
+    const locale = I18n.locale;
+    const local = I18n.localize;
+    result.innerHTML = '';
+
+    const headline = document.createElement('p');
+    headline.className = 'estimator__total';
+    const strong = document.createElement('strong');
+    strong.textContent = money(e.total, locale);
+    headline.append(strong, ` ${I18n.t('estimator.totalFor', { length: local(e.length).label })}`);
+    result.appendChild(headline);
+
+    const table = document.createElement('table');
+    table.className = 'estimator__breakdown';
+    const caption = document.createElement('caption');
+    caption.textContent = I18n.t('estimator.breakdown');
+    table.appendChild(caption);
+
+    const monthly = document.createElement('tbody');
+    e.monthly.forEach(({ item, amount }) => {
+      const label = item === 'sessions'
+        ? I18n.t('estimator.row.sessions', { count: e.frequency.sessionsPerMonth, minutes: e.sessionLength.minutes })
+        : local(item).label;
+      row(monthly, label, money(amount, locale));
+    });
+    if (e.discount) {
+      const label = I18n.t('estimator.row.discount', { percent: e.discount.percent, label: local(e.discount).label });
+      row(monthly, label, `−${money(e.saving, locale)}`, 'estimator__discount');
+    }
+    row(monthly, I18n.t('estimator.row.perMonth'), money(e.perMonth, locale), 'estimator__subtotal');
+    table.appendChild(monthly);
+
+    if (e.once.length) {
+      const once = document.createElement('tbody');
+      e.once.forEach(({ item, amount }) => row(once, I18n.t('estimator.row.once', { label: local(item).label }), money(amount, locale)));
+      table.appendChild(once);
+    }
+
+    const foot = document.createElement('tfoot');
+    row(foot, I18n.t('estimator.row.total', { months: e.length.months }), money(e.total, locale), 'estimator__subtotal');
+    table.appendChild(foot);
+    result.appendChild(table);
+
+    const note = document.createElement('p');
+    note.className = 'estimator__note';
+    note.textContent = I18n.t('estimator.note');
+    // Sample figures (no real price list published yet): say so under every estimate
+    if (pricing.placeholder) note.textContent += ` ${I18n.t('estimator.placeholder')}`;
+    result.appendChild(note);
+
+    // Keep an estimate already added to the email in step with the new choices
+    if (estimateField && written && estimateField.value === written) include(quoteText(e));
+    return e;
+  }
+
+  function say(message) {
+    if (status) status.textContent = message;
+  }
+
+  function include(quote) {
+    estimateField.value = quote;
+    written = quote;
+    estimateField.dispatchEvent(new Event('input', { bubbles: true })); // saves the intake draft
+  }
+
+  form.addEventListener('change', () => { render(); say(''); });
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  copyBtn && copyBtn.addEventListener('click', async () => {
+    await copyToClipboard(quoteText(estimate()));
+    say(I18n.t('estimator.status.copied'));
+  });
+
+  emailBtn && emailBtn.addEventListener('click', () => {
+    if (!estimateField) return;
+    include(quoteText(estimate()));
+    say(I18n.t('estimator.status.included'));
+  });
+  if (emailBtn && !estimateField) emailBtn.hidden = true;
+
+  document.addEventListener('localechange', () => {
+    if (!pricing) return;
+    fillControls();
+    render();
+  });
+
+  Promise.all([SiteData.fetchJson('pricing'), I18n.ready])
+    .then(([data]) => {
+      const problems = validatePricing(data);
+      if (problems.length) throw SiteData.fail('data/pricing.json is invalid', problems);
+      pricing = data;
+      fillControls();
+      render();
+      [copyBtn, emailBtn].forEach(b => { if (b) b.disabled = false; });
+    })
+    .catch(err => SiteData.renderError(result, I18n.t('estimator.error'), err));
+});
+
+// ---- Project matching: scores sample projects against quiz answers ----
+// Pure and deterministic (no DOM, no randomness): the same answers and records always give the
+// same ranking, ties keep the order of data/projects.json. Each reason carries the points it added.
+const ProjectMatch = (function () {
+  const WEIGHTS = {
+    interest: 3,      // per quiz interest that is one of the project's tags
+    focus: 3,         // hardware/software preference matches the project's focus (or its "hardware" tag)
+    focusNear: 1,     // a mixed project for a one-sided preference, or any project for "both"
+    hoursFit: 2,      // the project's typical weekly hours fit the time available
+    hoursStretch: -1, // up to STRETCH_HOURS more than available
+    hoursOver: -3,    // more than that
+    major: 2          // the project suits the intended major
+  };
+  const STRETCH_HOURS = 2;
+
+  // answers: { interests: [tag], focus: 'software' | 'hardware' | 'both', hours: number, major: string }
+  // -> { project, score, reasons: [{ type, points, … }] }
+  function score(project, answers) {
+    const reasons = [];
+    const add = (type, points, extra) => reasons.push(Object.assign({ type, points }, extra));
+
+    const tags = (answers.interests || []).filter(t => (project.tags || []).includes(t));
+    if (tags.length) add('interests', tags.length * WEIGHTS.interest, { tags });
+
+    if (project.focus && answers.focus) {
+      // A "hardware" tag makes a project a full match for hands-on builders, even with a software side
+      const hardware = project.focus === 'hardware' || (project.tags || []).includes('hardware');
+      const exact = answers.focus === project.focus || (answers.focus === 'both' && project.focus === 'mixed') ||
+        (answers.focus === 'hardware' && hardware);
+      const near = answers.focus === 'both' || project.focus === 'mixed';
+      if (exact) add('focus', WEIGHTS.focus, { focus: project.focus });
+      else if (near) add('focus', WEIGHTS.focusNear, { focus: project.focus });
+    }
+
+    if (typeof project.hoursPerWeek === 'number' && answers.hours > 0) {
+      const over = project.hoursPerWeek - answers.hours;
+      const fit = over <= 0 ? 'fits' : over <= STRETCH_HOURS ? 'stretch' : 'over';
+      const points = { fits: WEIGHTS.hoursFit, stretch: WEIGHTS.hoursStretch, over: WEIGHTS.hoursOver }[fit];
+      add('hours', points, { fit, hours: project.hoursPerWeek });
+    }
+
+    if (answers.major && (project.majors || []).includes(answers.major)) add('major', WEIGHTS.major, { major: answers.major });
+
+    return { project, score: reasons.reduce((sum, r) => sum + r.points, 0), reasons };
+  }
+
+  // Best matches first; equal scores keep their original order
+  function rank(projects, answers, limit = 3) {
+    return projects
+      .map((project, index) => Object.assign(score(project, answers), { index }))
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit);
+  }
+
+  return { WEIGHTS, STRETCH_HOURS, score, rank };
+})();
+
+// ---- Project-matching quiz (#match): top three sample projects with reasons ----
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('matchQuiz');
+  const results = document.getElementById('matchResults');
+  if (!form || !results) return;
+
+  let projects = null;  // validated records from data/projects.json
+  let answers = null;   // last submitted answers, re-rendered on language switches
+
+  function readAnswers() {
+    const data = new FormData(form);
+    return {
+      interests: data.getAll('interests'),
+      focus: data.get('focus') || '',
+      hours: Number(data.get('hours')) || 0,
+      major: data.get('major') || ''
+    };
+  }
+
+  function reasonText(r) {
+    switch (r.type) {
+      case 'interests':
+        return I18n.t('match.reason.interests', { tags: r.tags.map(t => I18n.t(`samples.tag.${t}`)).join(', ') });
+      case 'focus':
+        return I18n.t(`match.reason.focus.${r.focus}`);
+      case 'hours':
+        return I18n.t(`match.reason.hours.${r.fit}`, { hours: r.hours });
+      case 'major':
+        return I18n.t('match.reason.major', { major: I18n.t(`match.major.${r.major}`) });
+      default:
+        return '';
+    }
+  }
+
+  function card(match) {
+    const p = I18n.localize(match.project);
+    const li = document.createElement('li');
+    li.className = 'match-card';
+
+    const img = document.createElement('img');
+    img.className = 'match-card__img';
+    img.src = p.img;
+    img.alt = '';
+    img.loading = 'lazy';
+    li.appendChild(img);
+
+    const body = document.createElement('div');
+    body.className = 'match-card__body';
+    const name = document.createElement('h4');
+    name.className = 'match-card__name';
+    name.textContent = p.name;
+    const desc = document.createElement('p');
+    desc.className = 'match-card__desc';
+    desc.textContent = p.desc;
+    body.append(name, desc);
+
+    const why = document.createElement('ul');
+    why.className = 'match-card__why';
+    why.setAttribute('aria-label', I18n.t('match.why'));
+    const reasons = match.reasons.length ? match.reasons : [{ type: 'none', points: 0 }];
+    reasons.forEach(r => {
+      const item = document.createElement('li');
+      item.className = r.points < 0 ? 'is-minus' : 'is-plus';
+      item.textContent = r.type === 'none' ? I18n.t('match.reason.none') : reasonText(r);
+      why.appendChild(item);
+    });
+    body.appendChild(why);
+
+    // The overlay router turns sample.html#<id> into #samples/<id>
+    const link = document.createElement('a');
+    link.className = 'chip chip--link';
+    link.href = `./sample.html#${encodeURIComponent(p.id)}`;
+    link.textContent = I18n.t('match.open');
+    body.appendChild(link);
+
+    li.appendChild(body);
+    return li;
+  }
+
+  function render() {
+    results.innerHTML = '';
+    if (!answers || !projects) return;
+    const heading = document.createElement('h3');
+    heading.className = 'match__heading';
+    heading.textContent = I18n.t('match.results');
+    const list = document.createElement('ol');
+    list.className = 'match__list';
+    ProjectMatch.rank(projects, answers).forEach(m => list.appendChild(card(m)));
+    results.append(heading, list);
+  }
+
+  const loading = Promise.all([SiteData.load('projects'), I18n.ready])
+    .then(([records]) => { projects = records; });
+  loading.catch(() => {}); // reported when the quiz is submitted
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    answers = readAnswers();
+    loading
+      .then(() => {
+        render();
+        results.focus({ preventScroll: true });
+        results.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      })
+      .catch(err => SiteData.renderError(results, I18n.t('match.error'), err));
+  });
+
+  document.addEventListener('localechange', render);
+});
+
+// ---- Calendar (.ics) export, RFC 5545 ----
+const Ics = (function () {
+  const CRLF = '\r\n';
+  const PRODID = '-//Launch Your Engineering Journey//pawat-unj.github.io//EN';
+  const encoder = new TextEncoder();
+
+  function escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // 2026-11-04T02:00:00.000Z -> 20261104T020000Z
+  function formatUtc(ms) {
+    return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  // Content lines longer than 75 octets are folded with CRLF + space, never inside a UTF-8 sequence
+  function fold(line) {
+    if (encoder.encode(line).length <= 75) return line;
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+    let limit = 75;
+    for (const ch of line) {
+      const size = encoder.encode(ch).length;
+      if (bytes + size > limit) {
+        parts.push(current);
+        current = '';
+        bytes = 0;
+        limit = 74; // continuation lines start with the folding space
+      }
+      current += ch;
+      bytes += size;
+    }
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+  }
+
+  function uid(seed) {
+    const rand = Math.random().toString(36).slice(2, 10);
+    return `${seed || Date.now()}-${rand}@pawat-unj.github.io`;
+  }
+
+  // e: { start, end (ms), summary, description?, location?, url?, organizer?: { name, email }, status?, uid? }
+  function event(e) {
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${e.uid || uid(formatUtc(e.start))}`,
+      `DTSTAMP:${formatUtc(Date.now())}`,
+      `DTSTART:${formatUtc(e.start)}`,
+      `DTEND:${formatUtc(e.end)}`,
+      `SUMMARY:${escapeText(e.summary)}`
+    ];
+    if (e.description) lines.push(`DESCRIPTION:${escapeText(e.description)}`);
+    if (e.location) lines.push(`LOCATION:${escapeText(e.location)}`);
+    if (e.url) lines.push(`URL:${e.url}`);
+    if (e.organizer) lines.push(`ORGANIZER;CN="${String(e.organizer.name).replace(/"/g, '')}":mailto:${e.organizer.email}`);
+    if (e.status) lines.push(`STATUS:${e.status}`);
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  function calendar(events, opts = {}) {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    if (opts.name) lines.push(`X-WR-CALNAME:${escapeText(opts.name)}`);
+    events.forEach(e => lines.push(...event(e)));
+    lines.push('END:VCALENDAR');
+    return lines.map(fold).join(CRLF) + CRLF;
+  }
+
+  function toBlob(text) {
+    return new Blob([text], { type: 'text/calendar;charset=utf-8' });
+  }
+
+  return { escapeText, formatUtc, fold, event, calendar, toBlob };
+})();
+
+// ---- Intro-call slot picker (#contact): weekly windows in the owner's zone (data/availability.json), shown in the visitor's ----
+document.addEventListener('DOMContentLoaded', () => {
+  const picker = document.getElementById('slotPicker');
+  if (!picker) return;
+
+  const zoneSelect = picker.querySelector('select[name="slotZone"]');
+  const note       = picker.querySelector('.slots__note');
+  const listEl     = picker.querySelector('.slots__list');
+  const confirmEl  = picker.querySelector('.slots__confirm');
+  const email      = picker.dataset.email || '';
+
+  const DAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const HM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+  const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  let availability = null;
+  let slots = [];
+  let chosen = null;
+  let icsUrl = null;
+  let viewZone = TimeZones.detect();
+
+  // --- Data ---
+  function validateAvailability(a) {
+    const problems = [];
+    if (!a || typeof a !== 'object') return ['expected a JSON object'];
+    if (!TimeZones.isValid(a.timeZone)) problems.push(`"timeZone" is not a valid IANA zone (got "${a.timeZone}")`);
+    ['slotMinutes', 'horizonDays'].forEach(k => {
+      if (!(Number.isInteger(a[k]) && a[k] > 0)) problems.push(`"${k}" must be a positive whole number`);
+    });
+    if (a.minNoticeHours !== undefined && !(a.minNoticeHours >= 0)) problems.push('"minNoticeHours" must be zero or more');
+    if (a.placeholder !== undefined && typeof a.placeholder !== 'boolean') problems.push('"placeholder" must be true or false');
+    if (!Array.isArray(a.weekly) || !a.weekly.length) {
+      problems.push('"weekly" must list at least one window');
+    } else {
+      a.weekly.forEach((w, i) => {
+        if (!DAY_KEYS.includes(w && w.day)) problems.push(`weekly #${i + 1}: "day" must be one of ${DAY_KEYS.join(', ')}`);
+        if (!HM.test(w && w.start)) problems.push(`weekly #${i + 1}: "start" must be HH:MM`);
+        if (!HM.test(w && w.end)) problems.push(`weekly #${i + 1}: "end" must be HH:MM`);
+      });
+    }
+    (a.blackouts || []).forEach((b, i) => {
+      const ok = typeof b === 'string' ? DATE.test(b) : b && DATE.test(b.from) && DATE.test(b.to);
+      if (!ok) problems.push(`blackouts #${i + 1}: use "YYYY-MM-DD" or { "from": …, "to": … }`);
+    });
+    return problems;
+  }
+
+  function isBlackout(dateKey) {
+    return (availability.blackouts || []).some(b =>
+      typeof b === 'string' ? b === dateKey : dateKey >= b.from && dateKey <= b.to
+    );
+  }
+
+  function minutesOf(hm) {
+    const [, h, m] = HM.exec(hm);
+    return +h * 60 + +m;
+  }
+
+  // Every open slot from now (plus notice) to the horizon, as UTC instants.
+  // Windows are wall-clock times in availability.timeZone; an end at or before the start means
+  // the window runs past midnight into the next day.
+  function computeSlots(nowMs) {
+    const a = availability;
+    const zone = a.timeZone;
+    const step = a.slotMinutes;
+    const earliest = nowMs + (a.minNoticeHours || 0) * 3600000;
+    const today = new Date(TimeZones.wallClock(zone, nowMs)); // UTC fields hold the zone's wall clock
+    const seen = new Set();
+    const out = [];
+
+    // Start a day early so last night's past-midnight window can still contribute
+    for (let d = -1; d <= a.horizonDays; d++) {
+      const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + d));
+      const key = DAY_KEYS[day.getUTCDay()];
+      a.weekly.forEach(w => {
+        if (w.day !== key) return;
+        const from = minutesOf(w.start);
+        let to = minutesOf(w.end);
+        if (to <= from) to += 24 * 60;
+        for (let m = from; m + step <= to; m += step) {
+          const wall = new Date(day.getTime() + m * 60000);
+          if (isBlackout(wall.toISOString().slice(0, 10))) continue;
+          const start = TimeZones.toUtc(zone, wall.getUTCFullYear(), wall.getUTCMonth() + 1,
+            wall.getUTCDate(), wall.getUTCHours(), wall.getUTCMinutes());
+          if (start === null || start < earliest || seen.has(start)) continue; // DST gap, too soon, duplicate
+          seen.add(start);
+          out.push({ start, end: start + step * 60000 });
+        }
+      });
+    }
+    return out.sort((x, y) => x.start - y.start);
+  }
+
+  // --- Formatting ---
+  function fmt(ms, zone, options) {
+    return new Intl.DateTimeFormat(I18n.locale, Object.assign({ timeZone: zone }, options)).format(new Date(ms));
+  }
+  const dayLabel  = (ms, zone) => fmt(ms, zone, { weekday: 'short', month: 'short', day: 'numeric' });
+  const timeLabel = (ms, zone) => fmt(ms, zone, { hour: 'numeric', minute: '2-digit' });
+  const zoneLabel = (ms, zone) => {
+    const part = new Intl.DateTimeFormat(I18n.locale, { timeZone: zone, timeZoneName: 'short' })
+      .formatToParts(new Date(ms)).find(p => p.type === 'timeZoneName');
+    return part ? part.value : zone;
+  };
+  const dateKeyIn = (ms, zone) => new Date(TimeZones.wallClock(zone, ms)).toISOString().slice(0, 10);
+
+  // --- Rendering ---
+  function fillZones() {
+    if (!zoneSelect) return;
+    const detected = TimeZones.detect();
+    const zones = TimeZones.list();
+    if (!zones.includes(detected)) zones.unshift(detected);
+    const frag = document.createDocumentFragment();
+    zones.forEach(z => {
+      const opt = document.createElement('option');
+      opt.value = z;
+      opt.textContent = z === detected ? I18n.t('slots.detected', { zone: z.replace(/_/g, ' ') }) : z.replace(/_/g, ' ');
+      frag.appendChild(opt);
+    });
+    zoneSelect.innerHTML = '';
+    zoneSelect.appendChild(frag);
+    zoneSelect.value = viewZone;
+  }
+
+  function renderSlots() {
+    listEl.innerHTML = '';
+    if (note) {
+      note.textContent = I18n.t('slots.note', {
+        zone: viewZone.replace(/_/g, ' '),
+        abbr: zoneLabel(Date.now(), viewZone),
+        minutes: availability.slotMinutes
+      });
+      // Sample windows (no real schedule published yet): say so next to the times
+      if (availability.placeholder) note.textContent += ` ${I18n.t('slots.placeholder')}`;
+    }
+    if (!slots.length) {
+      const empty = document.createElement('p');
+      empty.className = 'slots__empty';
+      empty.textContent = I18n.t('slots.empty');
+      listEl.appendChild(empty);
+      return;
+    }
+
+    let group = null;
+    let groupKey = '';
+    slots.forEach((slot, i) => {
+      const key = dateKeyIn(slot.start, viewZone);
+      if (key !== groupKey) {
+        groupKey = key;
+        group = document.createElement('div');
+        group.className = 'slots__day';
+        group.setAttribute('role', 'group');
+        const h = document.createElement('h4');
+        h.className = 'slots__date';
+        h.textContent = dayLabel(slot.start, viewZone);
+        group.setAttribute('aria-label', h.textContent);
+        group.appendChild(h);
+        listEl.appendChild(group);
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'chip slots__slot';
+      btn.dataset.index = String(i);
+      btn.textContent = timeLabel(slot.start, viewZone);
+      btn.title = I18n.t('slots.ownerTime', {
+        time: `${dayLabel(slot.start, availability.timeZone)}, ${timeLabel(slot.start, availability.timeZone)}`,
+        zone: availability.timeZone.replace(/_/g, ' ')
+      });
+      btn.setAttribute('aria-pressed', String(!!chosen && chosen.start === slot.start));
+      group.appendChild(btn);
+    });
+  }
+
+  function describe(slot, zone) {
+    return `${dayLabel(slot.start, zone)}, ${timeLabel(slot.start, zone)}–${timeLabel(slot.end, zone)} ` +
+      `(${zone.replace(/_/g, ' ')}, ${zoneLabel(slot.start, zone)})`;
+  }
+
+  function mailtoFor(slot) {
+    const subject = `Intro call request: ${dayLabel(slot.start, viewZone)}, ${timeLabel(slot.start, viewZone)}`;
+    const body = [
+      'Hi Ice,',
+      '',
+      'I’d like to book a free intro call at:',
+      `- ${describe(slot, viewZone)}`,
+      `- ${describe(slot, availability.timeZone)}`,
+      '',
+      'I’ve added the invite to my calendar. Please confirm if this time works.',
+      '',
+      'Thanks!'
+    ].join('\r\n');
+    return `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  }
+
+  function renderConfirm() {
+    if (icsUrl) { URL.revokeObjectURL(icsUrl); icsUrl = null; }
+    confirmEl.innerHTML = '';
+    if (!chosen) { confirmEl.hidden = true; return; }
+
+    const summary = document.createElement('p');
+    summary.className = 'slots__chosen';
+    summary.textContent = describe(chosen, viewZone);
+    const ownerTime = document.createElement('span');
+    ownerTime.className = 'slots__owner';
+    ownerTime.textContent = I18n.t('slots.forMe', { time: describe(chosen, availability.timeZone) });
+    summary.appendChild(document.createElement('br'));
+    summary.appendChild(ownerTime);
+
+    const ics = Ics.calendar([{
+      start: chosen.start,
+      end: chosen.end,
+      summary: 'Intro call with Ice (project mentorship)',
+      description: 'Free 15–20 minute intro call to talk about goals and project ideas.\nhttps://pawat-unj.github.io/project-consulting/',
+      organizer: { name: 'Ice', email },
+      status: 'TENTATIVE'
+    }], { name: 'Intro call' });
+    icsUrl = URL.createObjectURL(Ics.toBlob(ics));
+
+    const actions = document.createElement('div');
+    actions.className = 'slots__actions';
+    const download = document.createElement('a');
+    download.className = 'chip chip--link';
+    download.href = icsUrl;
+    download.download = 'intro-call.ics';
+    download.textContent = I18n.t('slots.addToCalendar');
+    const mail = document.createElement('a');
+    mail.className = 'chip chip--link';
+    mail.href = mailtoFor(chosen);
+    mail.textContent = I18n.t('slots.emailToConfirm');
+    actions.appendChild(download);
+    actions.appendChild(mail);
+
+    confirmEl.appendChild(summary);
+    confirmEl.appendChild(actions);
+    confirmEl.hidden = false;
+  }
+
+  // --- Events ---
+  listEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.slots__slot');
+    if (!btn) return;
+    chosen = slots[+btn.dataset.index] || null;
+    listEl.querySelectorAll('.slots__slot').forEach(b => b.setAttribute('aria-pressed', String(b === btn)));
+    renderConfirm();
+  });
+
+  zoneSelect && zoneSelect.addEventListener('change', () => {
+    if (!TimeZones.isValid(zoneSelect.value)) return;
+    viewZone = zoneSelect.value;
+    renderSlots();
+    renderConfirm();
+  });
+
+  Promise.all([SiteData.fetchJson('availability'), I18n.ready])
+    .then(([data]) => {
+      const problems = validateAvailability(data);
+      if (problems.length) throw SiteData.fail('data/availability.json is invalid', problems);
+      availability = data;
+      slots = computeSlots(Date.now());
+      fillZones();
+      renderSlots();
+      // Dates, times and labels follow the page language
+      document.addEventListener('localechange', () => {
+        fillZones();
+        renderSlots();
+        renderConfirm();
+      });
+    })
+    .catch(err => SiteData.renderError(listEl, I18n.t('slots.error'), err));
+});
+
+// ===== Overlay bridge: postMessage protocol between the overlay host and embedded pages =====
+// Every message is { source: 'overlay-bridge', type, ...data } and is only accepted from this
+// page's own origin (and, on the host, only from the overlay iframe).
+//   embedded -> host: 'ready' { title, sub }   page is up; its title and current sub-route
+//                     'title' { title }        title changed
+//                     'route' { sub, title }   sub-route (hash) changed, e.g. a sample detail
+//                     'open'  { route }        open another overlay route
+//                     'close'                  close the overlay (Escape inside the frame)
+//                     'focus-exit' { direction } Tab left the first/last focusable element
+//   host -> embedded: 'focus' { position }     move focus to the 'first' or 'last' focusable
+//                     'theme' { choice }       follow the host's light/dark/system choice
+const OverlayBridge = (function () {
+  const TAG = 'overlay-bridge';
+  const embedded = window.parent !== window;
+  // file:// pages report an opaque "null" origin, which postMessage can't target
+  const targetOrigin = location.origin && location.origin !== 'null' ? location.origin : '*';
+
+  function send(target, type, data) {
+    if (!target) return;
+    try { target.postMessage(Object.assign({ source: TAG, type }, data), targetOrigin); } catch {}
+  }
+
+  function toHost(type, data) {
+    if (embedded) send(window.parent, type, data);
+  }
+
+  function toFrame(frame, type, data) {
+    if (frame && frame.contentWindow) send(frame.contentWindow, type, data);
+  }
+
+  // handler(message, event); `from` returns the only window allowed to talk to us
+  function listen(handler, from) {
+    window.addEventListener('message', (e) => {
+      if (e.origin !== location.origin) return;
+      const msg = e.data;
+      if (!msg || msg.source !== TAG || typeof msg.type !== 'string') return;
+      if (from && e.source !== from()) return;
+      handler(msg, e);
+    });
+  }
+
+  return { embedded, toHost, toFrame, listen };
+})();
+
+// ---- Overlay router: #<route>[/<sub-route>] opens an embedded page in the overlay ----
+// Routes are declared by links: <a href="./sample.html" data-overlay="samples">. Deep links
+// (index.html#samples/photo-nas) open on load and pass the sub-route on as the iframe's hash.
+document.addEventListener('DOMContentLoaded', () => {
+  const overlay  = document.getElementById('overlay');
+  if (!overlay) return; // overlay not present on this page
+
+  const panel    = overlay.querySelector('.overlay__panel');
+  const iframe   = overlay.querySelector('.overlay__frame');
+  const closeBtn = overlay.querySelector('.overlay__close');
+
+  let lastFocused = null;
+  let current = null;     // { route, sub } while open
+  let clearTimer = null;
+
+  // WebKit detection: Safari on macOS/iOS and iOS Chrome/Firefox use WebKit
+  const isWebKit = /AppleWebKit/i.test(navigator.userAgent) && !/Edg/i.test(navigator.userAgent);
+  if (isWebKit) overlay.classList.add('no-blur');
+
+  // Route table: name -> { name, url, path, link }. The first link declaring a route wins;
+  // a bare data-overlay falls back to the file name (sample.html -> #sample).
+  const routes = {};
+  document.querySelectorAll('a[data-overlay]').forEach(a => {
+    const url = a.getAttribute('href') || '';
+    const file = url.split(/[?#]/)[0].replace(/^.*\//, '').replace(/\.html?$/i, '');
+    const name = (a.dataset.overlay || file).toLowerCase();
+    if (!name || routes[name]) return;
+    routes[name] = {
+      name,
+      url: url.split('#')[0],
+      path: new URL(url, location.href).pathname,
+      link: a
+    };
+  });
+
+  // Read from the declaring link each time so the label follows language switches; catalog HTML
+  // (data-i18n-html) replaces links on a switch, so look up the live one
+  function labelFor(route) {
+    const a = route.link.isConnected
+      ? route.link
+      : document.querySelector(`a[data-overlay="${route.name}"]`) || route.link;
+    return a.dataset.overlayLabel || a.textContent.replace(/[→›»]/g, '').trim() || route.name;
+  }
+
+  function routeForUrl(url) {
+    let path;
+    try { path = new URL(url, location.href).pathname; } catch { return null; }
+    return Object.values(routes).find(r => r.path === path) || null;
+  }
+
+  function isOverlayLink(a) {
+    if (!a || a.tagName !== 'A') return false;
+    if (a.hasAttribute('data-overlay')) return true;
+    return !!routeForUrl(a.getAttribute('href') || '');
+  }
+
+  function labelForUrl(url) {
+    const r = routeForUrl(url);
+    return r ? labelFor(r) : I18n.t('overlay.preview');
+  }
+
+  function hashForUrl(url) {
+    const r = routeForUrl(url);
+    if (!r) return '#overlay';
+    const sub = (url.split('#')[1] || '');
+    return `#${r.name}${sub ? `/${sub}` : ''}`;
+  }
+
+  // '#samples/photo-nas' -> { route: routes.samples, sub: 'photo-nas' }; null for section anchors etc.
+  function parseHash(hash) {
+    const [head, ...rest] = (hash || '').replace(/^#/, '').split('/');
+    let name = head;
+    try { name = decodeURIComponent(head); } catch {}
+    const route = routes[name.toLowerCase()];
+    return route ? { route, sub: rest.join('/') } : null;
+  }
+
+  function frameUrl(route, sub) {
+    return sub ? `${route.url}#${sub}` : route.url;
+  }
+
+  function lockScroll(lock) {
+    document.documentElement.style.overflow = lock ? 'hidden' : '';
+    document.body.style.overflow = lock ? 'hidden' : '';
+  }
+
+  function setLabel(label) {
+    if (panel) panel.setAttribute('aria-label', label);
+    if (iframe) iframe.setAttribute('title', label);
+  }
+
+  // Show (or retarget) the overlay for a route; history is left to the caller
+  function show(route, sub) {
+    clearTimeout(clearTimer);
+    if (current && current.route === route) {
+      if (current.sub !== sub && iframe) iframe.src = frameUrl(route, sub); // same page: hash-only navigation
+      current = { route, sub };
+      return;
+    }
+
+    if (!current) lastFocused = document.activeElement;
+    current = { route, sub };
+    setLabel(labelFor(route)); // until the embedded page reports its own title
+    if (iframe) {
+      iframe.src = frameUrl(route, sub); // set before opening to avoid paint flash
+      // Force layer promotion for safety
+      iframe.style.transform = 'translateZ(0)';
+    }
+    lockScroll(true);
+    overlay.classList.add('is-open');
+    overlay.setAttribute('aria-hidden', 'false');
+    setTimeout(() => { try { closeBtn && closeBtn.focus(); } catch {} }, 0);
+  }
+
+  function hide() {
+    if (!current) return;
+    const route = current.route;
+    current = null;
+    overlay.classList.remove('is-open');
+    overlay.setAttribute('aria-hidden', 'true');
+    // Clear iframe after the transition to stop media and free resources
+    clearTimer = setTimeout(() => { if (iframe) iframe.src = 'about:blank'; }, 280);
+    lockScroll(false);
+    // Deep-link arrivals have nothing focused yet: fall back to the link that declares the route
+    const target = lastFocused && lastFocused !== document.body
+      ? lastFocused
+      : document.querySelector(`a[data-overlay="${route.name}"]`);
+    if (target && typeof target.focus === 'function') {
+      setTimeout(() => target.focus({ preventScroll: true }), 0);
+    }
+    lastFocused = null;
+  }
+
+  function openOverlay(url) {
+    const route = routeForUrl(url);
+    if (!route) return;
+    const hash = hashForUrl(url);
+    const parsed = parseHash(hash);
+    if (location.hash !== hash) {
+      try { history.pushState({ overlay: route.name }, '', hash); } catch {}
+    }
+    show(route, parsed ? parsed.sub : '');
+  }
+
+  // Close in place: swap the route entry for the bare page instead of stepping back, so a visitor
+  // who arrived on a deep link stays on the site
+  function closeOverlay() {
+    if (!current) return;
+    hide();
+    if (parseHash(location.hash)) {
+      try { history.replaceState(null, '', location.pathname + location.search); } catch {}
+    }
+  }
+
+  // Make the overlay match the URL (initial load, back/forward, in-page #route links)
+  function sync() {
+    const parsed = parseHash(location.hash);
+    if (parsed) show(parsed.route, parsed.sub);
+    else hide();
+  }
+
+  // Intercept clicks on overlay-trigger links anywhere in the document
+  document.addEventListener('click', (e) => {
+    const a = e.target.closest('a');
+    if (!isOverlayLink(a)) return;
+    if (e.metaKey || e.ctrlKey) return; // allow new-tab/window
+    e.preventDefault();
+    e.stopPropagation();
+    openOverlay(a.getAttribute('href'));
+  });
+
+  // Close interactions
+  closeBtn && closeBtn.addEventListener('click', (e) => { e.preventDefault(); closeOverlay(); });
+  overlay.addEventListener('click', (e) => {
+    // Click outside the panel closes
+    if (e.target === overlay) closeOverlay();
+  });
+  document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeOverlay(); });
+
+  // Focus trap: the panel holds the close button and the iframe. Tab between them here; the
+  // embedded page reports 'focus-exit' when Tab runs off either end of its own content.
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Tab' || !current) return;
+    const active = document.activeElement;
+    if (active === closeBtn || !panel || !panel.contains(active)) {
+      e.preventDefault();
+      if (active === closeBtn && iframe) {
+        iframe.focus();
+        OverlayBridge.toFrame(iframe, 'focus', { position: e.shiftKey ? 'last' : 'first' });
+      } else if (closeBtn) {
+        closeBtn.focus();
+      }
+    }
+  });
+  // Safety net for focus arriving from elsewhere (screen-reader jumps, a frame that doesn't speak the bridge)
+  document.addEventListener('focusin', (e) => {
+    if (current && panel && !panel.contains(e.target) && closeBtn) closeBtn.focus();
+  });
+
+  // Messages from the embedded page (see OverlayBridge)
+  OverlayBridge.listen((msg) => {
+    if (!current) return;
+    switch (msg.type) {
+      case 'ready':
+      case 'title':
+      case 'route':
+        if (typeof msg.title === 'string' && msg.title.trim()) setLabel(msg.title.trim());
+        if (msg.type !== 'title' && typeof msg.sub === 'string' && msg.sub !== current.sub) {
+          // The frame navigated itself: mirror it in our URL without reloading the frame
+          current = { route: current.route, sub: msg.sub };
+          const hash = `#${current.route.name}${msg.sub ? `/${msg.sub}` : ''}`;
+          try { history.replaceState({ overlay: current.route.name }, '', hash); } catch {}
+        }
+        break;
+      case 'open': {
+        const route = routes[String(msg.route || '').toLowerCase()];
+        if (route) openOverlay(route.url);
+        break;
+      }
+      case 'close':
+        closeOverlay();
+        break;
+      case 'focus-exit':
+        if (closeBtn) closeBtn.focus();
+        break;
+    }
+  }, () => iframe && iframe.contentWindow);
+
+  // Keep the embedded page on the host's theme (storage events alone miss private modes)
+  function sendTheme() {
+    if (current) OverlayBridge.toFrame(iframe, 'theme', { choice: Theme.choice });
+  }
+  if (iframe) iframe.addEventListener('load', sendTheme);
+  document.addEventListener('themechange', sendTheme);
+
+  // Back/forward and manual hash edits
+  window.addEventListener('popstate', sync);
+  window.addEventListener('hashchange', sync);
+
+  sync();
+});
+
+// ---- Embedded page side of the overlay bridge (sample.html / testimonial.html / journal.html / resume.html in #overlayFrame) ----
+document.addEventListener('DOMContentLoaded', () => {
+  if (!OverlayBridge.embedded) return;
+  document.documentElement.classList.add('is-embedded');
+
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+    'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  function focusables() {
+    return Array.from(document.querySelectorAll(FOCUSABLE))
+      .filter(el => el.getClientRects().length && !el.closest('[hidden], [aria-hidden="true"]'));
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !e.defaultPrevented) {
+      OverlayBridge.toHost('close');
+      return;
+    }
+    if (e.key !== 'Tab') return;
+    // Hand focus back to the host at either end so it can keep it inside the overlay panel
+    const items = focusables();
+    const atEdge = e.shiftKey
+      ? !items.length || document.activeElement === items[0] || document.activeElement === document.body
+      : !items.length || document.activeElement === items[items.length - 1];
+    if (atEdge) {
+      e.preventDefault();
+      OverlayBridge.toHost('focus-exit', { direction: e.shiftKey ? 'backward' : 'forward' });
+    }
+  });
+
+  // Links to other overlay routes open in the host rather than inside the frame
+  document.addEventListener('click', (e) => {
+    const a = e.target.closest('a[data-overlay]');
+    if (!a || e.metaKey || e.ctrlKey) return;
+    e.preventDefault();
+    OverlayBridge.toHost('open', { route: a.dataset.overlay });
+  });
+
+  OverlayBridge.listen((msg) => {
+    if (msg.type === 'theme') {
+      Theme.set(msg.choice, { persist: false });
+      return;
+    }
+    if (msg.type !== 'focus') return;
+    const items = focusables();
+    const target = msg.position === 'last' ? items[items.length - 1] : items[0];
+    if (target) target.focus();
+    else window.focus();
+  }, () => window.parent);
+});
+
+// ===== Shared: JSON content files (data/*.json) with schema validation =====
+// Testimonials and sample projects are plain data so content edits don't touch code.
+// Each record is checked against a small schema before any page renders it.
+const SiteData = (function () {
+  const DATA_DIR = 'data/';
+
+  // Colours with a matching .t-avatar[data-color] rule in styles.css
+  const AVATAR_COLORS = ['blue', 'rose', 'emerald', 'amber', 'violet', 'yellow', 'brown', 'black'];
+
+  const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+  const PROJECT_TAGS = ['web', 'hardware', 'ml', 'data', 'games', 'social-impact'];
+  const PROJECT_FOCUSES = ['software', 'hardware', 'mixed'];
+  const MAJORS = ['cs', 'ee', 'mech', 'data', 'bio', 'business', 'design'];
+
+  // Field rules: type ('string' | 'number' | 'boolean' | 'array'), of (array item type), required, unique (across records),
+  // oneOf (allowed values), image (file must exist)
+  const SCHEMAS = {
+    testimonials: {
+      id:       { type: 'string', required: true, unique: true },
+      semester: { type: 'string' },
+      color:    { type: 'string', oneOf: AVATAR_COLORS },
+      avatar:   { type: 'string', image: true },
+      text:     { type: 'string', required: true },
+      keywords: { type: 'array', of: 'string' }, // summary header on the testimonials page
+      featured: { type: 'boolean' }, // shown in the landing-page carousel (#featured)
+      i18n:     { type: 'object' } // per-locale overrides, e.g. { th: { text } }
+    },
+    projects: {
+      id:         { type: 'string', required: true, unique: true },
+      name:       { type: 'string', required: true },
+      desc:       { type: 'string', required: true },
+      img:        { type: 'string', required: true, image: true },
+      tags:       { type: 'array', of: 'string', oneOf: PROJECT_TAGS },
+      // Detail view (sample.html#<id>)
+      writeup:    { type: 'string' },
+      stack:      { type: 'array', of: 'string' },
+      difficulty: { type: 'string', oneOf: DIFFICULTIES },
+      duration:   { type: 'string' },
+      milestones: { type: 'array', of: 'string' },
+      // Project-matching quiz (ProjectMatch)
+      focus:        { type: 'string', oneOf: PROJECT_FOCUSES },
+      hoursPerWeek: { type: 'number' },
+      majors:       { type: 'array', of: 'string', oneOf: MAJORS },
+      i18n:       { type: 'object' } // per-locale overrides, e.g. { th: { name, desc } }
+    }
+  };
+
+  function describe(rec, i) {
+    return rec && typeof rec.id === 'string' && rec.id ? `#${i + 1} (${rec.id})` : `#${i + 1}`;
+  }
+
+  // Synchronous checks; returns a list of human-readable problems (empty when valid)
+  function validate(records, schema) {
+    const problems = [];
+    if (!Array.isArray(records)) return ['expected a JSON array of records'];
+    if (!records.length) problems.push('the list is empty');
+
+    const seen = {};
+    records.forEach((rec, i) => {
+      const where = describe(rec, i);
+      if (!rec || typeof rec !== 'object' || Array.isArray(rec)) {
+        problems.push(`record ${where} is not an object`);
+        return;
+      }
+      Object.keys(schema).forEach(field => {
+        const rule = schema[field];
+        const value = rec[field];
+        const missing = value === undefined || value === null || value === '';
+        if (missing) {
+          if (rule.required) problems.push(`record ${where} is missing "${field}"`);
+          return;
+        }
+        const actual = Array.isArray(value) ? 'array' : typeof value;
+        if (rule.type && actual !== rule.type) {
+          problems.push(`record ${where}: "${field}" should be a ${rule.type}`);
+          return;
+        }
+        if (rule.of && value.some(v => typeof v !== rule.of)) {
+          problems.push(`record ${where}: every item in "${field}" should be a ${rule.of}`);
+        }
+        if (rule.oneOf) {
+          // For arrays, oneOf applies to every item
+          const bad = (actual === 'array' ? value : [value]).filter(v => !rule.oneOf.includes(v));
+          if (bad.length) {
+            problems.push(`record ${where}: "${field}" must be one of ${rule.oneOf.join(', ')} (got "${bad.join('", "')}")`);
+          }
+        }
+        if (rule.unique) {
+          seen[field] = seen[field] || {};
+          if (seen[field][value]) problems.push(`record ${where}: duplicate ${field} "${value}"`);
+          seen[field][value] = true;
+        }
+      });
+    });
+    return problems;
+  }
+
+  // A HEAD request confirms the file is there without downloading it (cards load their images lazily).
+  // Only a definite "not found" fails; probes that can't be answered (offline, cross-origin) pass.
+  async function probeImage(src) {
+    try {
+      const res = await fetch(src, { method: 'HEAD' });
+      return res.status !== 404 && res.status !== 410;
+    } catch {
+      return true;
+    }
+  }
+
+  // Async check that every image path in the records exists
+  async function validateImages(records, schema) {
+    const fields = Object.keys(schema).filter(f => schema[f].image);
+    const checks = [];
+    records.forEach((rec, i) => {
+      fields.forEach(field => {
+        if (typeof rec[field] !== 'string' || !rec[field]) return;
+        checks.push(probeImage(rec[field]).then(ok =>
+          ok ? null : `record ${describe(rec, i)}: image "${rec[field]}" was not found`
+        ));
+      });
+    });
+    return (await Promise.all(checks)).filter(Boolean);
+  }
+
+  function fail(message, problems) {
+    const err = new Error(message);
+    err.problems = problems || [];
+    return err;
+  }
+
+  // Fetch and parse data/<name>.json without validation (for files that aren't record lists)
+  async function fetchJson(name) {
+    const url = `${DATA_DIR}${name}.json`;
+    try {
+      const res = await fetch(url, { cache: 'no-cache' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return await res.json();
+    } catch (e) {
+      throw fail(`Could not load ${url}`, [e.message || String(e)]);
+    }
+  }
+
+  // Record lists from the ?edit content editor, used instead of the published files
+  const drafts = {};
+
+  function useDraft(name, records) {
+    if (records) drafts[name] = records;
+    else delete drafts[name];
+  }
+
+  // Fetch data/<name>.json (or its editor draft) and resolve with the validated records
+  async function load(name) {
+    const schema = SCHEMAS[name];
+    if (!schema) throw fail(`Unknown data file "${name}"`);
+    const url = drafts[name] ? `The draft of ${DATA_DIR}${name}.json` : `${DATA_DIR}${name}.json`;
+    const records = drafts[name] ? JSON.parse(JSON.stringify(drafts[name])) : await fetchJson(name);
+
+    const problems = validate(records, schema);
+    if (!problems.length) problems.push(...await validateImages(records, schema));
+    if (problems.length) throw fail(`${url} is invalid`, problems);
+    return records;
+  }
+
+  // Replace a container's content with an accessible inline error panel
+  function renderError(container, title, err) {
+    if (!container) return;
+    const box = document.createElement('div');
+    box.className = 'data-error';
+    box.setAttribute('role', 'alert');
+
+    const heading = document.createElement('p');
+    heading.className = 'data-error__title';
+    heading.textContent = title;
+    box.appendChild(heading);
+
+    const detail = document.createElement('p');
+    detail.className = 'data-error__detail';
+    detail.textContent = (err && err.message) || 'Unknown error';
+    box.appendChild(detail);
+
+    const problems = (err && err.problems) || [];
+    if (problems.length) {
+      const list = document.createElement('ul');
+      list.className = 'data-error__list';
+      problems.slice(0, 8).forEach(p => {
+        const li = document.createElement('li');
+        li.textContent = p;
+        list.appendChild(li);
+      });
+      if (problems.length > 8) {
+        const li = document.createElement('li');
+        li.textContent = `…and ${problems.length - 8} more`;
+        list.appendChild(li);
+      }
+      box.appendChild(list);
+    }
+
+    container.innerHTML = '';
+    container.appendChild(box);
+    if (window.console) console.error(err);
+  }
+
+  return { SCHEMAS, AVATAR_COLORS, DIFFICULTIES, PROJECT_TAGS, PROJECT_FOCUSES, MAJORS, validate, validateImages, fail, fetchJson, useDraft, load, renderError };
+})();
+
+// ===== Content editor (?edit): in-place editing of site copy and data files for the owner =====
+// Opt in with ?edit. The choice is kept for the tab (sessionStorage) so overlay pages follow; ?edit=off
+// leaves. Edits are drafts in localStorage, applied through I18n.setDrafts (the #who bubbles and help
+// cards live in locales/<lang>.json) and SiteData.useDraft (data/projects.json, data/testimonials.json).
+// Export downloads the changed files plus a Markdown summary to commit; nothing is uploaded.
+const ContentEditor = (function () {
+  const SESSION_KEY = 'content-edit';
+  const DRAFTS_KEY = 'content-drafts-v1';
+  const HISTORY_KEY = 'content-history-v1';
+  const HISTORY_LIMIT = 30;
+  const RECORD_FILES = ['projects', 'testimonials'];
+  const INLINE_ARRAY_MAX = 80; // data files keep short lists of plain values on one line
+
+  const active = (function () {
+    const param = new URLSearchParams(location.search).get('edit');
+    try {
+      if (param === 'off') sessionStorage.removeItem(SESSION_KEY);
+      else if (param !== null) sessionStorage.setItem(SESSION_KEY, '1');
+      return sessionStorage.getItem(SESSION_KEY) === '1';
+    } catch {
+      return param !== null && param !== 'off';
+    }
+  })();
+
+  const empty = () => ({ catalog: {}, records: {} }); // catalog: lang -> { key: message | null }
+  let drafts = read(DRAFTS_KEY, empty());
+  let history = read(HISTORY_KEY, { undo: [], redo: [] }); // JSON snapshots of drafts
+  const published = {}; // name -> Promise of the committed data file
+  let statusEl = null;
+
+  function read(key, fallback) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value && typeof value === 'object' ? value : fallback;
+    } catch {
+      return fallback;
+    }
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(DRAFTS_KEY, JSON.stringify(drafts));
+    } catch {
+      say(I18n.t('editor.status.full'));
+    }
+    // History is a convenience: drop the oldest steps until it fits
+    for (;;) {
+      try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        return;
+      } catch {
+        if (history.undo.length) history.undo.shift();
+        else if (history.redo.length) history.redo.shift();
+        else return;
+      }
+    }
+  }
+
+  // Hand the drafts to the loaders and catalogs
+  function install() {
+    RECORD_FILES.forEach(name => SiteData.useDraft(name, drafts.records[name] || null));
+    I18n.LOCALES.forEach(lang => I18n.setDrafts(lang, drafts.catalog[lang] || null));
+  }
+
+  // Re-apply after any change; pages with data records re-render on 'contentchange'
+  function refresh() {
+    install();
+    I18n.apply(document);
+    document.dispatchEvent(new CustomEvent('contentchange'));
+    updateBar();
+  }
+
+  // One undo step: fn edits a copy of the drafts
+  function change(fn) {
+    const before = JSON.stringify(drafts);
+    const next = JSON.parse(before);
+    fn(next);
+    if (JSON.stringify(next) === before) return false;
+    history.undo.push(before);
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+    drafts = next;
+    persist();
+    refresh();
+    return true;
+  }
+
+  function step(from, to) {
+    if (!history[from].length) return;
+    history[to].push(JSON.stringify(drafts));
+    drafts = JSON.parse(history[from].pop());
+    persist();
+    refresh();
+  }
+
+  const undo = () => step('undo', 'redo');
+  const redo = () => step('redo', 'undo');
+
+  // --- Drafts: catalog entries and record lists ---
+  function setMessages(entries) {
+    return change(d => {
+      d.catalog[I18n.locale] = Object.assign({}, d.catalog[I18n.locale], entries);
+    });
+  }
+
+  // prefix1…prefixN in the current language; entries past the new end are removed
+  function setList(prefix, values) {
+    const entries = {};
+    const count = Math.max(I18n.list(prefix).length, values.length);
+    for (let i = 0; i < count; i++) entries[prefix + (i + 1)] = i < values.length ? values[i] : null;
+    return setMessages(entries);
+  }
+
+  function publishedFile(name) {
+    if (!published[name]) {
+      published[name] = SiteData.fetchJson(name);
+      published[name].catch(() => { delete published[name]; });
+    }
+    return published[name];
+  }
+
+  // fn(list) edits a copy of the record list (the draft, or the published file on the first edit)
+  async function editRecords(name, fn) {
+    const base = drafts.records[name] || await publishedFile(name);
+    return change(d => {
+      const list = JSON.parse(JSON.stringify(d.records[name] || base));
+      fn(list);
+      d.records[name] = list;
+    });
+  }
+
+  // Text fields edit the current language: the record itself in English, i18n.<lang> otherwise
+  function setField(record, field, value) {
+    if (I18n.locale === I18n.FALLBACK) {
+      record[field] = value;
+      return;
+    }
+    record.i18n = record.i18n || {};
+    record.i18n[I18n.locale] = Object.assign({}, record.i18n[I18n.locale], { [field]: value });
+  }
+
+  // --- Export: changed files in their committed layout, plus a summary ---
+  function stringify(value, indent = '') {
+    const inner = indent + '  ';
+    if (Array.isArray(value)) {
+      if (!value.length) return '[]';
+      if (value.every(v => v === null || typeof v !== 'object')) {
+        const inline = `[${value.map(v => JSON.stringify(v)).join(', ')}]`;
+        if (inline.length <= INLINE_ARRAY_MAX) return inline;
+      }
+      return `[\n${value.map(v => inner + stringify(v, inner)).join(',\n')}\n${indent}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value).filter(k => value[k] !== undefined);
+      if (!keys.length) return '{}';
+      return `{\n${keys.map(k => `${inner}${JSON.stringify(k)}: ${stringify(value[k], inner)}`).join(',\n')}\n${indent}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  const union = (a, b) => Array.from(new Set(Object.keys(a || {}).concat(Object.keys(b || {}))));
+
+  // Field names that differ; translations are listed as "text (th)"
+  function changedFields(a, b) {
+    const out = [];
+    union(a, b).forEach(field => {
+      if (same(a[field], b[field])) return;
+      if (field !== 'i18n') {
+        out.push(field);
+        return;
+      }
+      union(a.i18n, b.i18n).forEach(lang => {
+        changedFields((a.i18n || {})[lang] || {}, (b.i18n || {})[lang] || {}).forEach(f => out.push(`${f} (${lang})`));
+      });
+    });
+    return out;
+  }
+
+  // Markdown bullets describing how a record list changed, matched by id
+  function diffRecords(before, after) {
+    const lines = [];
+    const beforeIds = before.map(r => r.id);
+    const afterIds = after.map(r => r.id);
+    after.forEach(rec => {
+      const old = before.find(r => r.id === rec.id);
+      if (!old) {
+        lines.push(`- Added \`${rec.id}\``);
+        return;
+      }
+      const fields = changedFields(old, rec);
+      if (fields.length) lines.push(`- Changed \`${rec.id}\`: ${fields.join(', ')}`);
+    });
+    beforeIds.filter(id => !afterIds.includes(id)).forEach(id => lines.push(`- Removed \`${id}\``));
+    if (!same(afterIds.filter(id => beforeIds.includes(id)), beforeIds.filter(id => afterIds.includes(id)))) {
+      lines.push('- Reordered records');
+    }
+    return lines;
+  }
+
+  // Rewrites only the affected lines of locales/<lang>.json, so the file keeps its order and grouping
+  function patchCatalog(source, entries) {
+    const current = JSON.parse(source);
+    const rows = source.replace(/\s+$/, '').split('\n');
+    const KEY = /^\s*("(?:[^"\\]|\\.)*")\s*:/;
+    const keyAt = (i) => {
+      const m = KEY.exec(rows[i]);
+      return m ? JSON.parse(m[1]) : null;
+    };
+    const find = (key) => rows.findIndex((row, i) => keyAt(i) === key);
+    const summary = [];
+
+    // Numeric order, so a new prefix4 lands after prefix3
+    Object.keys(entries).sort((a, b) => a.localeCompare(b, 'en', { numeric: true })).forEach(key => {
+      const value = entries[key];
+      const at = find(key);
+      if (value === null) {
+        if (at !== -1) {
+          rows.splice(at, 1);
+          summary.push(`- Removed \`${key}\``);
+        }
+        return;
+      }
+      if (current[key] === value) return;
+      const line = `  ${JSON.stringify(key)}: ${JSON.stringify(value)},`;
+      if (at !== -1) {
+        rows[at] = line;
+        summary.push(`- Changed \`${key}\``);
+        return;
+      }
+      // New key: after its list neighbour, else at the end of its group
+      const m = /^(.*?)(\d+)$/.exec(key);
+      let after = m ? find(m[1] + (Number(m[2]) - 1)) : -1;
+      if (after === -1) {
+        const group = key.split('.')[0] + '.';
+        rows.forEach((row, i) => { if ((keyAt(i) || '').startsWith(group)) after = i; });
+      }
+      if (after === -1) after = rows.length - 2;
+      rows.splice(after + 1, 0, line);
+      summary.push(`- Added \`${key}\``);
+    });
+
+    // Every entry but the last ends with a comma
+    const keyed = rows.map((row, i) => keyAt(i) !== null);
+    const last = keyed.lastIndexOf(true);
+    rows.forEach((row, i) => { if (keyed[i]) rows[i] = row.replace(/,?\s*$/, i === last ? '' : ','); });
+    return { text: rows.join('\n') + '\n', summary };
+  }
+
+  // Resolves with the number of data files downloaded (0 when nothing differs from the published site)
+  async function exportAll() {
+    const files = [];
+    const summary = [];
+    for (const name of RECORD_FILES) {
+      const after = drafts.records[name];
+      if (!after) continue;
+      const lines = diffRecords(await publishedFile(name), after);
+      if (!lines.length) continue;
+      files.push({ path: `data/${name}.json`, text: stringify(after) + '\n' });
+      summary.push(`## data/${name}.json`, '', ...lines, '');
+    }
+    for (const lang of I18n.LOCALES) {
+      if (!drafts.catalog[lang]) continue;
+      const path = `locales/${lang}.json`;
+      const res = await fetch(path, { cache: 'no-cache' });
+      if (!res.ok) throw new Error(`Could not load ${path} (HTTP ${res.status})`);
+      const patched = patchCatalog(await res.text(), drafts.catalog[lang]);
+      if (!patched.summary.length) continue;
+      files.push({ path, text: patched.text });
+      summary.push(`## ${path}`, '', ...patched.summary, '');
+    }
+    if (!files.length) return 0;
+
+    const intro = [
+      '# Content changes',
+      '',
+      `Exported ${new Date().toISOString().slice(0, 10)} from ?edit. Replace these files in the repository and commit:`,
+      '',
+      ...files.map(f => `- \`${f.path}\``),
+      ''
+    ];
+    files.forEach(f => downloadFile(f.path.split('/').pop(), new Blob([f.text], { type: 'application/json' })));
+    downloadFile('content-changes.md', new Blob([intro.concat(summary).join('\n')], { type: 'text/markdown' }));
+    return files.length;
+  }
+
+  // --- UI helpers ---
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function button(key, fallback, className) {
+    const btn = el('button', className || 'chip chip--link', fallback);
+    btn.type = 'button';
+    btn.dataset.i18n = key;
+    return btn;
+  }
+
+  function iconButton(icon, labelKey) {
+    const btn = el('button', 'editor-tools__btn', icon);
+    btn.type = 'button';
+    btn.setAttribute('aria-label', I18n.t(labelKey));
+    btn.title = I18n.t(labelKey);
+    btn.dataset.i18nAttr = `aria-label:${labelKey}; title:${labelKey}`;
+    return btn;
+  }
+
+  function say(text) {
+    if (statusEl) statusEl.textContent = text;
+  }
+
+  function updateBar() {
+    const files = Object.keys(drafts.records).length + Object.keys(drafts.catalog).length;
+    say(files ? I18n.t('editor.status.drafts', { n: files }) : I18n.t('editor.status.clean'));
+    document.querySelectorAll('[data-editor="undo"]').forEach(b => { b.disabled = !history.undo.length; });
+    document.querySelectorAll('[data-editor="redo"]').forEach(b => { b.disabled = !history.redo.length; });
+  }
+
+  // Small modal panel; resolves with the value passed to close(), or undefined when dismissed
+  function openPanel(titleKey, build) {
+    return new Promise(resolve => {
+      const opener = document.activeElement;
+      const panel = el('div', 'editor-panel');
+      const box = el('div', 'editor-panel__box');
+      box.setAttribute('role', 'dialog');
+      box.setAttribute('aria-modal', 'true');
+      box.setAttribute('aria-label', I18n.t(titleKey));
+      const body = el('div', 'editor-panel__body');
+      const cancel = button('editor.cancel', 'Cancel');
+
+      function close(value) {
+        panel.remove();
+        if (opener && opener.focus) opener.focus();
+        resolve(value);
+      }
+
+      box.append(el('h2', 'editor-panel__title', I18n.t(titleKey)), body, cancel);
+      panel.appendChild(box);
+      build(body, close);
+      cancel.addEventListener('click', () => close());
+      panel.addEventListener('click', (e) => { if (e.target === panel) close(); });
+      // preventDefault keeps Escape from also closing the overlay around embedded pages
+      panel.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        close();
+      });
+      document.body.appendChild(panel);
+      I18n.apply(panel);
+      const first = box.querySelector('button, input, textarea');
+      if (first) first.focus();
+    });
+  }
+
+  let assets = null;
+
+  // Resolves with an image path, '' for "no picture" (when optional), or undefined when cancelled
+  function pickImage(currentSrc, optional) {
+    if (!assets) assets = SiteData.fetchJson('assets').catch(() => []);
+    return assets.then(list => openPanel('editor.image.title', (body, close) => {
+      const grid = el('div', 'editor-images');
+      list.forEach(src => {
+        const btn = el('button', 'editor-images__item');
+        btn.type = 'button';
+        btn.setAttribute('aria-label', src);
+        btn.setAttribute('aria-pressed', String(src === currentSrc));
+        const img = el('img');
+        img.src = src;
+        img.alt = '';
+        img.loading = 'lazy';
+        btn.appendChild(img);
+        btn.addEventListener('click', () => close(src));
+        grid.appendChild(btn);
+      });
+      body.appendChild(grid);
+
+      const form = el('form', 'editor-images__path');
+      const label = el('label', null, I18n.t('editor.image.path'));
+      const input = el('input');
+      input.name = 'path';
+      input.value = currentSrc || '';
+      input.placeholder = 'assets/…';
+      label.appendChild(input);
+      form.append(label, button('editor.image.use', 'Use'));
+      form.lastChild.type = 'submit';
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (input.value.trim()) close(input.value.trim());
+      });
+      body.appendChild(form);
+
+      if (optional) {
+        const none = button('editor.image.none', 'No picture');
+        none.addEventListener('click', () => close(''));
+        body.appendChild(none);
+      }
+    }));
+  }
+
+  // Resolves with the edited value once validate(value) finds no problems, or undefined when cancelled
+  function editJson(value, validate) {
+    return openPanel('editor.json.title', (body, close) => {
+      const area = el('textarea', 'editor-json');
+      area.value = stringify(value);
+      area.rows = 16;
+      area.spellcheck = false;
+      const problems = el('p', 'editor-json__problems');
+      problems.setAttribute('role', 'alert');
+      const save = button('editor.json.save', 'Save');
+      save.addEventListener('click', () => {
+        let next;
+        try { next = JSON.parse(area.value); } catch (e) { problems.textContent = e.message; return; }
+        const found = validate(next);
+        if (found.length) problems.textContent = found.slice(0, 5).join('; ');
+        else close(next);
+      });
+      body.append(area, problems, save);
+    });
+  }
+
+  // --- In-place editing ---
+  const editableNodes = new WeakSet();
+
+  // contenteditable that commits on blur; Enter ends single-line fields, Escape puts the text back
+  function editable(node, opts, commit) {
+    if (editableNodes.has(node)) return;
+    editableNodes.add(node);
+    try {
+      node.contentEditable = opts.html ? 'true' : 'plaintext-only';
+    } catch {
+      node.contentEditable = 'true'; // no plaintext-only support
+    }
+    const read = () => (opts.html ? node.innerHTML : node.innerText).trim();
+    let before = null;
+    node.addEventListener('focus', () => { before = read(); });
+    node.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        before = null;
+        node.blur();
+        refresh();
+      } else if (e.key === 'Enter' && !opts.multiline && !opts.html) {
+        e.preventDefault();
+        node.blur();
+      }
+    });
+    node.addEventListener('blur', () => {
+      const value = read();
+      const was = before;
+      before = null;
+      if (was === null || value === was) return;
+      if (!value) refresh(); // an empty field is a mistake, not a removal: show the draft again
+      else commit(value);
+    });
+  }
+
+  // Make a rendered list editable in place. spec:
+  //   items()                    item elements in order
+  //   fields(item)               [{ node, field, html, multiline }] edited in place
+  //   commit(item, field, value), move(item, target, after), remove(item), add()
+  //   image(item), json(item)    optional: open the image picker / the JSON editor
+  //   axis                       'x' or 'y' (default): which midpoint decides before/after on drop
+  //   addAfter                   where the "+ Add" button goes (default: after the container)
+  function bindList(container, spec) {
+    const tools = el('div', 'editor-tools');
+    tools.hidden = true;
+    const handle = iconButton('⠿', 'editor.tools.drag');
+    handle.draggable = true;
+    const up = iconButton('↑', 'editor.tools.up');
+    const down = iconButton('↓', 'editor.tools.down');
+    const image = spec.image && iconButton('🖼', 'editor.tools.image');
+    const json = spec.json && iconButton('{ }', 'editor.tools.json');
+    const remove = iconButton('✕', 'editor.tools.remove');
+    tools.append(...[handle, up, down, image, json, remove].filter(Boolean));
+    document.body.appendChild(tools);
+
+    const add = button('editor.add', '+ Add', 'chip chip--link editor-add');
+    (spec.addAfter || container).after(add);
+    add.addEventListener('click', () => spec.add());
+
+    let current = null;
+    let dragging = null;
+    let hideTimer = null;
+
+    const itemOf = (node) => spec.items().find(item => item.contains(node)) || null;
+
+    function prepare() {
+      spec.items().forEach(item => {
+        item.classList.add('is-editable');
+        spec.fields(item).forEach(f => editable(f.node, f, (value) => {
+          const owner = itemOf(f.node);
+          const field = owner && spec.fields(owner).find(x => x.node === f.node);
+          if (field) spec.commit(owner, field.field, value);
+        }));
+      });
+    }
+
+    function show(item) {
+      clearTimeout(hideTimer);
+      if (!item.isConnected) { // re-rendered meanwhile
+        tools.hidden = true;
+        current = null;
+        return;
+      }
+      current = item;
+      tools.hidden = false;
+      const r = item.getBoundingClientRect();
+      const top = window.scrollY + r.top - tools.offsetHeight - 4;
+      tools.style.top = `${top < window.scrollY ? window.scrollY + r.bottom + 4 : top}px`;
+      tools.style.left = `${Math.max(4, window.scrollX + r.right - tools.offsetWidth)}px`;
+    }
+
+    function hideLater() {
+      clearTimeout(hideTimer);
+      hideTimer = setTimeout(() => {
+        const focus = document.activeElement;
+        if (container.contains(focus) || tools.contains(focus)) return;
+        if (container.matches(':hover') || tools.matches(':hover')) return;
+        tools.hidden = true;
+        current = null;
+      }, 300);
+    }
+
+    container.addEventListener('focusin', (e) => { const item = itemOf(e.target); if (item) show(item); });
+    container.addEventListener('mouseover', (e) => {
+      const item = itemOf(e.target);
+      if (item && item !== current && !tools.contains(document.activeElement)) show(item);
+    });
+    [container, tools].forEach(node => {
+      node.addEventListener('focusout', hideLater);
+      node.addEventListener('mouseleave', hideLater);
+    });
+    // Follow the item when the page or a scroller moves
+    document.addEventListener('scroll', () => { if (current && !tools.hidden) show(current); }, { capture: true, passive: true });
+
+    function neighbour(offset) {
+      const items = spec.items();
+      return items[items.indexOf(current) + offset];
+    }
+
+    up.addEventListener('click', () => { const t = current && neighbour(-1); if (t) spec.move(current, t, false); });
+    down.addEventListener('click', () => { const t = current && neighbour(1); if (t) spec.move(current, t, true); });
+    remove.addEventListener('click', () => { if (current) spec.remove(current); tools.hidden = true; });
+    if (image) image.addEventListener('click', () => { if (current) spec.image(current); });
+    if (json) json.addEventListener('click', () => { if (current) spec.json(current); });
+
+    // Drag the handle onto another item; the drop side follows the pointer
+    const isAfter = (target, e) => {
+      const r = target.getBoundingClientRect();
+      return spec.axis === 'x' ? e.clientX > r.left + r.width / 2 : e.clientY > r.top + r.height / 2;
+    };
+    const unmark = () => container.querySelectorAll('.is-drop-before, .is-drop-after')
+      .forEach(n => n.classList.remove('is-drop-before', 'is-drop-after'));
+
+    handle.addEventListener('dragstart', (e) => {
+      if (!current) return;
+      dragging = current;
+      dragging.classList.add('is-dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', '');
+      if (e.dataTransfer.setDragImage) e.dataTransfer.setDragImage(dragging, 16, 16);
+    });
+    handle.addEventListener('dragend', () => {
+      if (dragging) dragging.classList.remove('is-dragging');
+      dragging = null;
+      unmark();
+    });
+    container.addEventListener('dragover', (e) => {
+      const target = dragging && itemOf(e.target);
+      if (!target || target === dragging) return;
+      e.preventDefault();
+      unmark();
+      target.classList.add(isAfter(target, e) ? 'is-drop-after' : 'is-drop-before');
+    });
+    container.addEventListener('drop', (e) => {
+      const target = dragging && itemOf(e.target);
+      if (!dragging) return;
+      e.preventDefault();
+      if (target && target !== dragging) spec.move(dragging, target, isAfter(target, e));
+    });
+
+    new MutationObserver(prepare).observe(container, { childList: true, subtree: true });
+    prepare();
+  }
+
+  // bindList for a page's data records. opts: { name, item (selector), fields: { selector: field },
+  // multiline: [field], image: { selector, field, optional }, template() -> new record, axis, addAfter }
+  function bindRecords(container, opts) {
+    const idOf = (item) => item.dataset.id;
+    const indexIn = (list, item) => list.findIndex(r => r.id === idOf(item));
+    const edit = (fn) => editRecords(opts.name, fn).catch(err => say(err.message));
+    const current = async () => drafts.records[opts.name] || await publishedFile(opts.name);
+
+    const spec = {
+      axis: opts.axis,
+      addAfter: opts.addAfter,
+      items: () => Array.from(container.querySelectorAll(opts.item)).filter(item => idOf(item)),
+      fields: (item) => Object.keys(opts.fields)
+        .map(sel => ({ node: item.querySelector(sel), field: opts.fields[sel] }))
+        .filter(f => f.node)
+        .map(f => Object.assign(f, { multiline: (opts.multiline || []).includes(f.field) })),
+      commit: (item, field, value) => edit(list => {
+        const rec = list[indexIn(list, item)];
+        if (rec) setField(rec, field, value);
+      }),
+      move: (item, target, after) => edit(list => {
+        const from = indexIn(list, item);
+        if (from === -1) return;
+        const [rec] = list.splice(from, 1);
+        const to = indexIn(list, target);
+        list.splice(to === -1 ? from : to + (after ? 1 : 0), 0, rec);
+      }),
+      remove: (item) => edit(list => {
+        const i = indexIn(list, item);
+        if (i !== -1) list.splice(i, 1);
+      }),
+      add: () => edit(list => list.push(opts.template())),
+      image: opts.image && (async (item) => {
+        const rec = (await current()).find(r => r.id === idOf(item));
+        const src = await pickImage(rec && rec[opts.image.field], opts.image.optional);
+        if (src === undefined) return;
+        edit(list => {
+          const target = list[indexIn(list, item)];
+          if (!target) return;
+          if (src) target[opts.image.field] = src;
+          else delete target[opts.image.field];
+        });
+      }),
+      // Every field, including the ones not shown on the page
+      json: async (item) => {
+        const list = await current();
+        const i = list.findIndex(r => r.id === idOf(item));
+        if (i === -1) return;
+        const next = await editJson(list[i], (value) => {
+          const trial = list.slice();
+          trial[i] = value;
+          return SiteData.validate(trial, SiteData.SCHEMAS[opts.name]);
+        });
+        if (next !== undefined) edit(l => { l[indexIn(l, item)] = next; });
+      }
+    };
+    bindList(container, spec);
+
+    if (opts.image) {
+      container.addEventListener('click', (e) => {
+        const node = e.target.closest(opts.image.selector);
+        const item = node && e.target.closest(opts.item);
+        if (item && container.contains(item)) spec.image(item);
+      });
+    }
+  }
+
+  // Catalog-backed copy on any page: numbered lists (data-i18n-list) and single entries (data-edit)
+  function bindCatalog() {
+    document.querySelectorAll('[data-i18n-list]').forEach(container => {
+      const prefix = container.dataset.i18nList;
+      const keyOf = (node) => node.dataset.i18nHtml || node.dataset.i18n || '';
+      const items = () => Array.from(container.children).filter(node => keyOf(node).startsWith(prefix));
+      const edit = (fn) => {
+        const values = I18n.list(prefix).slice();
+        fn(values);
+        if (values.length) setList(prefix, values); // keep at least one entry
+      };
+      bindList(container, {
+        items,
+        fields: (item) => [{ node: item, field: keyOf(item), html: item.dataset.i18nHtml !== undefined }],
+        commit: (item, key, value) => setMessages({ [key]: value }),
+        move: (item, target, after) => edit(values => {
+          const from = items().indexOf(item);
+          let to = items().indexOf(target);
+          const [value] = values.splice(from, 1);
+          if (to > from) to--;
+          values.splice(to + (after ? 1 : 0), 0, value);
+        }),
+        remove: (item) => edit(values => { if (values.length > 1) values.splice(items().indexOf(item), 1); }),
+        add: () => edit(values => values.push(I18n.t('editor.newItem')))
+      });
+    });
+
+    document.querySelectorAll('[data-edit]').forEach(node => {
+      const html = node.dataset.i18nHtml !== undefined;
+      const key = html ? node.dataset.i18nHtml : node.dataset.i18n;
+      if (key) editable(node, { html }, (value) => setMessages({ [key]: value }));
+    });
+  }
+
+  function buildBar() {
+    const bar = el('div', 'editor-bar');
+    bar.setAttribute('role', 'toolbar');
+    bar.setAttribute('aria-label', 'Content editor');
+    bar.dataset.i18nAttr = 'aria-label:editor.label';
+    const title = el('strong', 'editor-bar__title', 'Editing');
+    title.dataset.i18n = 'editor.title';
+    statusEl = el('span', 'editor-bar__status');
+    statusEl.setAttribute('role', 'status');
+
+    const undoBtn = button('editor.undo', 'Undo');
+    undoBtn.dataset.editor = 'undo';
+    const redoBtn = button('editor.redo', 'Redo');
+    redoBtn.dataset.editor = 'redo';
+    const exportBtn = button('editor.export', 'Export');
+    const discardBtn = button('editor.discard', 'Discard drafts');
+    const exitBtn = button('editor.exit', 'Exit');
+
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    exportBtn.addEventListener('click', () => {
+      exportAll()
+        .then(n => say(n ? I18n.t('editor.status.exported', { n }) : I18n.t('editor.status.nothing')))
+        .catch(err => say(I18n.t('editor.status.failed', { error: err.message })));
+    });
+    discardBtn.addEventListener('click', () => {
+      if (window.confirm(I18n.t('editor.confirmDiscard'))) change(d => Object.assign(d, empty()));
+    });
+    exitBtn.addEventListener('click', () => {
+      const url = new URL(location.href);
+      url.searchParams.set('edit', 'off');
+      location.href = url.toString();
+    });
+
+    bar.append(title, statusEl, undoBtn, redoBtn, exportBtn, discardBtn, exitBtn);
+    document.body.appendChild(bar);
+    I18n.apply(bar);
+    updateBar();
+  }
+
+  if (active) {
+    install();
+    document.documentElement.classList.add('is-editing');
+
+    document.addEventListener('DOMContentLoaded', () => {
+      buildBar();
+      bindCatalog();
+      document.addEventListener('localechange', updateBar);
+    });
+
+    // Ctrl/Cmd+Z and Shift+Z / Y step through drafts; inside a field the browser's own undo wins
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      } else if (key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    });
+
+    // Another page or overlay frame changed the drafts
+    window.addEventListener('storage', (e) => {
+      if (e.key !== DRAFTS_KEY) return;
+      drafts = read(DRAFTS_KEY, empty());
+      history = read(HISTORY_KEY, { undo: [], redo: [] });
+      refresh();
+    });
+  }
+
+  return {
+    active, undo, redo, bindRecords, exportAll,
+    // Pure helpers, exposed for reuse
+    stringify, diffRecords, patchCatalog
+  };
+})();
+
+// ===== Shared: testimonial avatar + bubble (testimonials page, featured carousel) =====
+const TestimonialView = (function () {
+  function el(tag, cls, text) {
+    const n = document.createElement(tag);
+    if (cls) n.className = cls;
+    if (text) n.textContent = text;
+    return n;
+  }
+
+  // opts.side: 'left' (default) or 'right'; opts.reveal: false skips the scroll-reveal class
+  function makeItem(t, opts = {}) {
+    const side = opts.side || 'left';
+    const item = el('article', `t-item t-${side}` + (opts.reveal === false ? '' : ' t-reveal'));
+    if (t.id) item.dataset.id = t.id;
+
+    const avatar = el('div', 't-avatar');
+    avatar.dataset.color = t.color || 'blue';
+
+    if (t.avatar) {
+      const img = document.createElement('img');
+      img.className = 't-avatar-img';
+      img.src = t.avatar;
+      img.alt = I18n.t('testimonials.avatarAlt');
+      img.loading = 'lazy';
+      img.decoding = 'async';
+      // Fallback: if image fails, remove it so the colored circle shows
+      img.addEventListener('error', () => img.remove(), { once: true });
+      avatar.appendChild(img);
+    } else {
+      avatar.textContent = ''; // anonymous, color-only avatar
+    }
+
+    const bubble = el('div', 't-bubble');
+
+    const text = el('div');
+    // Preserve line breaks in testimonial text
+    (t.text || '').split('\n').forEach((line, i, arr) => {
+      text.appendChild(document.createTextNode(line));
+      if (i < arr.length - 1) text.appendChild(document.createElement('br'));
+    });
+
+    const semester = el('div', 't-semester', t.semester || '');
+
+    bubble.appendChild(text);
+    if (t.semester) bubble.appendChild(semester);
+
+    item.appendChild(avatar);
+    item.appendChild(bubble);
+    return item;
+  }
+
+  // Term order within a year, for "Spring '25"-style labels
+  const TERMS = { winter: 0, spring: 1, summer: 2, fall: 3, autumn: 3 };
+
+  // Sort key from the data's (English) semester label, e.g. "Fall '24" -> 20243; null when unreadable
+  function semesterRank(label) {
+    const m = /^(winter|spring|summer|fall|autumn)\s+'?(\d{2}|\d{4})$/i.exec((label || '').trim());
+    if (!m) return null;
+    const year = m[2].length === 2 ? 2000 + Number(m[2]) : Number(m[2]);
+    return year * 10 + TERMS[m[1].toLowerCase()];
+  }
+
+  // Newest (dir -1) or oldest (dir 1) first; unreadable semesters always last, file order within a semester
+  function compareRank(a, b, dir) {
+    if (a.rank === b.rank) return a.index - b.index;
+    if (a.rank === null) return 1;
+    if (b.rank === null) return -1;
+    return dir * (a.rank - b.rank);
+  }
+
+  // Records newest (dir -1) or oldest (dir 1) first; also used by scripts/build.js for the pre-rendered page
+  function sorted(records, dir = -1) {
+    return records
+      .map((t, index) => ({ t, index, rank: semesterRank(t.semester) }))
+      .sort((a, b) => compareRank(a, b, dir))
+      .map(r => r.t);
+  }
+
+  return { makeItem, semesterRank, compareRank, sorted };
+})();
+
+// =======================
+// Testimonials page logic
+// =======================
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.body.dataset.page !== 'testimonials') return;
+
+  const stream = document.getElementById('t-stream');
+  const controls = document.getElementById('t-controls');
+  const summary = document.getElementById('t-summary');
+  if (!stream || !controls || !summary) return;
+
+  const semesterSelect = controls.elements.semester;
+
+  const TOP_KEYWORDS = 5;
+  const { semesterRank, compareRank } = TestimonialView;
+
+  // Content lives in data/testimonials.json; show an inline error if it can't be used
+  let records = [];
+  let stopReveal = null;
+
+  Promise.all([SiteData.load('testimonials'), I18n.ready])
+    .then(([list]) => {
+      records = list;
+      fillSemesters();
+      controls.hidden = false;
+      summary.hidden = false;
+      update();
+      controls.addEventListener('change', update);
+      document.addEventListener('localechange', rerender);
+      if (ContentEditor.active) edit();
+    })
+    .catch(err => SiteData.renderError(stream, I18n.t('testimonials.error'), err))
+    .finally(() => OverlayBridge.toHost('ready', { title: document.title }));
+
+  // ?edit: entries in file order, all shown, editable in place
+  function edit() {
+    controls.querySelector('.t-controls__sort').hidden = true;
+    ContentEditor.bindRecords(stream, {
+      name: 'testimonials',
+      item: '.t-item',
+      fields: { '.t-bubble > div:first-child': 'text', '.t-semester': 'semester' },
+      multiline: ['text'],
+      image: { selector: '.t-avatar', field: 'avatar', optional: true },
+      template: () => ({
+        id: `t-new-${Date.now().toString(36)}`,
+        semester: TestimonialSubmission.semesters()[0].label,
+        color: 'blue',
+        text: 'New testimonial'
+      })
+    });
+    document.addEventListener('contentchange', () => {
+      SiteData.load('testimonials')
+        .then(list => {
+          records = list;
+          fillSemesters();
+          update();
+        })
+        .catch(err => SiteData.renderError(stream, I18n.t('testimonials.error'), err));
+    });
+  }
+
+  function readFilter() {
+    const data = new FormData(controls);
+    return { semester: data.get('semester') || 'all', sort: data.get('sort') || 'newest' };
+  }
+
+  // One entry per semester in the data, newest first, with localized labels and counts
+  function semesterGroups() {
+    const groups = [];
+    records.forEach((t, index) => {
+      const key = t.semester || '';
+      let group = groups.find(g => g.key === key);
+      if (!group) {
+        const label = I18n.localize(t).semester || I18n.t('testimonials.filter.undated');
+        group = { key, label, index, rank: semesterRank(key), count: 0 };
+        groups.push(group);
+      }
+      group.count++;
+    });
+    return groups.sort((a, b) => compareRank(a, b, -1));
+  }
+
+  function fillSemesters() {
+    const current = semesterSelect.value || 'all';
+    semesterSelect.innerHTML = '';
+    semesterSelect.appendChild(new Option(I18n.t('testimonials.filter.all'), 'all'));
+    semesterGroups().forEach(g => semesterSelect.appendChild(new Option(g.label, g.key)));
+    semesterSelect.value = current;
+    if (semesterSelect.selectedIndex === -1) semesterSelect.value = 'all';
+  }
+
+  // Records for the current filter and sort, localized
+  function visible() {
+    const { semester, sort } = readFilter();
+    const shown = records.filter(t => semester === 'all' || (t.semester || '') === semester);
+    return (ContentEditor.active ? shown : TestimonialView.sorted(shown, sort === 'oldest' ? 1 : -1))
+      .map(I18n.localize);
+  }
+
+  // Most common keywords in the shown testimonials; ties keep first-seen order
+  function topKeywords(list) {
+    const counts = new Map();
+    list.forEach(t => (t.keywords || []).forEach(k => counts.set(k, (counts.get(k) || 0) + 1)));
+    return Array.from(counts, ([word, count]) => ({ word, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_KEYWORDS);
+  }
+
+  function renderSummary(list) {
+    const { semester } = readFilter();
+    summary.querySelector('.t-summary__total').textContent =
+      I18n.t('testimonials.summary.shown', { shown: list.length, total: records.length });
+
+    const semesters = summary.querySelector('.t-summary__semesters');
+    semesters.innerHTML = '';
+    semesterGroups().forEach(g => {
+      const li = document.createElement('li');
+      if (g.key === semester) li.className = 'is-active';
+      li.textContent = I18n.t('testimonials.summary.semester', { semester: g.label, count: g.count });
+      semesters.appendChild(li);
+    });
+
+    const keywords = summary.querySelector('.t-summary__keywords');
+    const top = topKeywords(list);
+    keywords.innerHTML = '';
+    keywords.hidden = !top.length;
+    top.forEach(k => {
+      const li = document.createElement('li');
+      li.className = 't-keyword';
+      li.textContent = I18n.t('testimonials.summary.keyword', { keyword: k.word, count: k.count });
+      keywords.appendChild(li);
+    });
+    summary.querySelector('.t-summary__keywords-label').hidden = !top.length;
+  }
+
+  // Filter or sort changed: rebuild the stream and replay the reveal queue from the top
+  function update() {
+    if (stopReveal) stopReveal();
+    const list = visible();
+    const reuse = prerendered(list);
+    if (!reuse) stream.innerHTML = '';
+    renderSummary(list);
+    stopReveal = render(list, ContentEditor.active ? list.length : 0, reuse);
+  }
+
+  // scripts/build.js ships the default view (English, newest first) in the stream; keep it when it matches
+  function prerendered(list) {
+    if (!stream.hasAttribute('data-prerendered')) return false;
+    stream.removeAttribute('data-prerendered');
+    const ids = Array.from(stream.children, item => item.dataset.id);
+    return I18n.locale === I18n.FALLBACK && !ContentEditor.active &&
+      ids.length === list.length && list.every((t, i) => t.id === ids[i]);
+  }
+
+  // Swap in the new language without replaying reveals the visitor has already seen
+  function rerender() {
+    const revealed = stream.querySelectorAll('.t-reveal.is-in').length;
+    if (stopReveal) stopReveal();
+    fillSemesters();
+    const list = visible();
+    stream.innerHTML = '';
+    renderSummary(list);
+    stopReveal = render(list, revealed);
+    OverlayBridge.toHost('title', { title: document.title });
+  }
+
+  // Returns a function that stops the reveal queue. Sides alternate by position in the list.
+  // reuse: the items are already in the stream (pre-rendered); only the reveal queue is set up.
+  function render(testimonials, revealed = 0, reuse = false) {
+    if (!reuse) {
+      testimonials.forEach((t, i) => {
+        const item = TestimonialView.makeItem(t, { side: i % 2 ? 'right' : 'left' });
+        if (i < revealed) item.classList.add('is-in');
+        stream.appendChild(item);
+      });
+    }
+
+    // Reveal on scroll (staggered: one at a time, top→bottom, each delayed 1000ms)
+    const REVEAL_DELAY_MS = 700;
+    const items = Array.from(stream.querySelectorAll('.t-reveal'));
+    const inView = new Array(items.length).fill(false);
+    let nextIdx = 0;        // next item index to reveal (DOM order)
+    let busyIdx = -1;       // index currently scheduled (or -1 if none)
+    let timerId = null;     // pending timer for the scheduled reveal
+
+    function clearTimer() {
+      if (timerId) { clearTimeout(timerId); timerId = null; }
+    }
+
+    function schedule(i) {
+      busyIdx = i;
+      timerId = setTimeout(() => {
+        items[i].classList.add('is-in'); // trigger CSS transition
+        io.unobserve(items[i]);          // no longer need to observe
+        busyIdx = -1;
+        timerId = null;
+        nextIdx = i + 1;                 // move to the next item in DOM order
+        tryRevealQueue();
+      }, REVEAL_DELAY_MS);
+    }
+
+    function tryRevealQueue() {
+      // Skip over any already-revealed items
+      while (nextIdx < items.length && items[nextIdx].classList.contains('is-in')) {
+        nextIdx++;
+      }
+      if (busyIdx !== -1) return;               // already scheduling one
+      if (nextIdx >= items.length) return;      // done
+      if (inView[nextIdx]) schedule(nextIdx);   // only schedule when the next item is in view
+    }
+
+    const io = new IntersectionObserver((entries) => {
+      entries.forEach(en => {
+        const idx = items.indexOf(en.target);
+        if (idx === -1) return;
+        inView[idx] = en.isIntersecting;
+
+        // If the currently scheduled item leaves view, cancel its timer
+        if (!en.isIntersecting && idx === busyIdx) {
+          clearTimer();
+          busyIdx = -1;
+        }
+      });
+      tryRevealQueue();
+    }, { root: null, rootMargin: '0px 0px -10% 0px', threshold: 0.05 });
+
+    items.forEach(n => { if (!n.classList.contains('is-in')) io.observe(n); });
+
+    return () => { clearTimer(); io.disconnect(); };
+  }
+});
+
+// ---- Featured testimonials (#featured): rotating quote strip on the landing page ----
+// Records with "featured": true in data/testimonials.json (all of them if none are marked).
+// Auto-advances unless the visitor hovers, focuses, pauses it or prefers reduced motion.
+document.addEventListener('DOMContentLoaded', () => {
+  const root = document.getElementById('featuredCarousel');
+  if (!root) return;
+
+  const viewport = root.querySelector('.featured__viewport');
+  const track = root.querySelector('.featured__track');
+  const dots = root.querySelector('.featured__dots');
+  const prevBtn = root.querySelector('[data-featured="prev"]');
+  const nextBtn = root.querySelector('[data-featured="next"]');
+  const pauseBtn = root.querySelector('[data-featured="pause"]');
+
+  const INTERVAL_MS = 7000;
+  const SWIPE_PX = 40;
+  const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+  let records = [];
+  let index = 0;
+  let timerId = null;
+  let hovered = false;
+  let focused = false;
+  let paused = false;    // set by the pause button
+  let drag = null;       // { id, x, y, dx } while a pointer swipe is in progress
+
+  function count() { return records.length; }
+
+  function rotating() {
+    return count() > 1 && !paused && !hovered && !focused && !document.hidden &&
+      !(reducedMotion && reducedMotion.matches);
+  }
+
+  function stop() {
+    if (timerId) { clearInterval(timerId); timerId = null; }
+  }
+
+  // Re-evaluate after any state change; screen readers only hear slide changes they asked for
+  function sync() {
+    stop();
+    if (rotating()) timerId = setInterval(() => go(index + 1), INTERVAL_MS);
+    viewport.setAttribute('aria-live', timerId ? 'off' : 'polite');
+    pauseBtn.hidden = count() < 2 || !!(reducedMotion && reducedMotion.matches);
+    pauseBtn.setAttribute('aria-pressed', String(paused));
+    pauseBtn.textContent = I18n.t(paused ? 'featured.play' : 'featured.pause');
+  }
+
+  function go(i) {
+    const n = count();
+    if (!n) return;
+    index = ((i % n) + n) % n;
+    track.style.transform = `translateX(${-index * 100}%)`;
+    Array.from(track.children).forEach((slide, j) => {
+      const current = j === index;
+      slide.setAttribute('aria-hidden', String(!current));
+      slide.inert = !current;
+    });
+    Array.from(dots.children).forEach((dot, j) => {
+      if (j === index) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+  }
+
+  function render() {
+    const list = records.map(I18n.localize);
+    track.innerHTML = '';
+    dots.innerHTML = '';
+    list.forEach((t, i) => {
+      const slide = document.createElement('div');
+      slide.className = 'featured__slide';
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', I18n.t('featured.slide'));
+      slide.setAttribute('aria-label', I18n.t('featured.position', { n: i + 1, total: list.length }));
+      slide.appendChild(TestimonialView.makeItem(t, { side: 'left', reveal: false }));
+      track.appendChild(slide);
+
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'featured__dot';
+      dot.setAttribute('aria-label', I18n.t('featured.show', { n: i + 1 }));
+      dot.addEventListener('click', () => { go(i); sync(); });
+      dots.appendChild(dot);
+    });
+    const single = list.length < 2;
+    prevBtn.hidden = single;
+    nextBtn.hidden = single;
+    dots.hidden = single;
+    go(index);
+    sync();
+  }
+
+  prevBtn.addEventListener('click', () => { go(index - 1); sync(); });
+  nextBtn.addEventListener('click', () => { go(index + 1); sync(); });
+  pauseBtn.addEventListener('click', () => { paused = !paused; sync(); });
+
+  root.addEventListener('keydown', (e) => {
+    if (e.target.closest('a')) return;
+    if (e.key === 'ArrowLeft') { e.preventDefault(); go(index - 1); sync(); }
+    else if (e.key === 'ArrowRight') { e.preventDefault(); go(index + 1); sync(); }
+  });
+
+  // Pause while the visitor is reading or interacting
+  root.addEventListener('mouseenter', () => { hovered = true; sync(); });
+  root.addEventListener('mouseleave', () => { hovered = false; sync(); });
+  root.addEventListener('focusin', () => { focused = true; sync(); });
+  root.addEventListener('focusout', (e) => {
+    if (root.contains(e.relatedTarget)) return;
+    focused = false;
+    sync();
+  });
+  document.addEventListener('visibilitychange', sync);
+  if (reducedMotion && reducedMotion.addEventListener) reducedMotion.addEventListener('change', sync);
+
+  // Swipe: the track follows the finger, then snaps to the neighbour past SWIPE_PX
+  viewport.addEventListener('pointerdown', (e) => {
+    if (count() < 2 || (e.pointerType === 'mouse' && e.button !== 0)) return;
+    drag = { id: e.pointerId, x: e.clientX, y: e.clientY, dx: 0 };
+  });
+  viewport.addEventListener('pointermove', (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    const dx = e.clientX - drag.x;
+    // Let vertical scrolling win until the gesture is clearly horizontal
+    if (!drag.dx && Math.abs(dx) < Math.abs(e.clientY - drag.y)) return;
+    if (!drag.dx) viewport.setPointerCapture(e.pointerId);
+    drag.dx = dx;
+    track.classList.add('is-dragging');
+    track.style.transform = `translateX(calc(${-index * 100}% + ${dx}px))`;
+  });
+  function endDrag(e) {
+    if (!drag || e.pointerId !== drag.id) return;
+    const dx = drag.dx;
+    drag = null;
+    track.classList.remove('is-dragging');
+    if (dx <= -SWIPE_PX) go(index + 1);
+    else if (dx >= SWIPE_PX) go(index - 1);
+    else go(index);
+    sync();
+  }
+  viewport.addEventListener('pointerup', endDrag);
+  viewport.addEventListener('pointercancel', endDrag);
+
+  Promise.all([SiteData.load('testimonials'), I18n.ready])
+    .then(([list]) => {
+      const featured = list.filter(t => t.featured);
+      records = featured.length ? featured : list;
+      render();
+      document.addEventListener('localechange', render);
+    })
+    .catch(err => {
+      root.querySelector('.featured__controls').hidden = true;
+      SiteData.renderError(viewport, I18n.t('featured.error'), err);
+    });
+});
+
+// ===== Shared: testimonial submissions (submit-testimonial.html → moderate-testimonials.html) =====
+// Students build a record in the data/testimonials.json schema; the owner reviews it before merging.
+const TestimonialSubmission = (function () {
+  const AVATARS = ['assets/test1.png', 'assets/test2.png', 'assets/test3.png', 'assets/test4.png',
+    'assets/test5.png', 'assets/test6.png', 'assets/test7.png', 'assets/test8.png'];
+  const MIN_LENGTH = 20;
+  const MAX_LENGTH = 600;
+  const REMOVED = '[removed]';
+
+  // Semester labels use the "Spring '25" form the testimonials page sorts on
+  const TERMS = [
+    { name: 'Spring', fromMonth: 0, th: 'ภาคเรียนฤดูใบไม้ผลิ' },
+    { name: 'Summer', fromMonth: 5, th: 'ภาคเรียนฤดูร้อน' },
+    { name: 'Fall',   fromMonth: 8, th: 'ภาคเรียนฤดูใบไม้ร่วง' }
+  ];
+
+  const YEARS = /^(19|20)\d\d\s*[-–]\s*(19|20)\d\d$/;
+
+  // Identifying details, most specific first so an email isn't half-matched as a handle.
+  // keep(match) lets look-alikes through (e.g. "2024-2025" is not a phone number).
+  const PATTERNS = [
+    { type: 'email',  re: /[^\s@]+@[^\s@]+\.[^\s@]+/g },
+    { type: 'link',   re: /\b(?:https?:\/\/|www\.)\S+/gi },
+    // (^|[^\w]) instead of a lookbehind, which Safari before 16.4 can't parse; the prefix is kept
+    { type: 'handle', re: /(^|[^\w])@[A-Za-z0-9_.]{2,}/g, prefix: true },
+    { type: 'phone',  re: /\+?\d[\d\s().-]{6,}\d/g, keep: m => (m.match(/\d/g) || []).length < 7 || YEARS.test(m) },
+    { type: 'name',   re: /\bmy name is\s+\S+(?:\s+[A-Z][\w.]*)?/gi },
+    { type: 'name',   re: /[-–—~][ \t]*[A-Z][a-z.]*(?:[ \t]+[A-Z][a-z.]*)?[ \t]*$/g } // sign-off, e.g. "— Jane D."
+  ];
+
+  // Returns { text, removed } where removed lists the kinds of detail that were replaced
+  function scrub(input) {
+    const removed = [];
+    let text = String(input || '').replace(/\r\n?/g, '\n').trim();
+    PATTERNS.forEach(({ type, re, keep, prefix }) => {
+      text = text.replace(re, (match, pre) => {
+        if (keep && keep(match)) return match;
+        if (!removed.includes(type)) removed.push(type);
+        return prefix ? pre + REMOVED : REMOVED;
+      });
+    });
+    return { text: text.trim(), removed };
+  }
+
+  // The current term and the ones before it, newest first: [{ label: "Fall '26", th: 'ภาคเรียนฤดูใบไม้ร่วง 2026' }]
+  function semesters(now = new Date(), count = 6) {
+    let year = now.getFullYear();
+    let term = TERMS.length - 1;
+    while (term > 0 && now.getMonth() < TERMS[term].fromMonth) term--;
+    const list = [];
+    for (let i = 0; i < count; i++) {
+      list.push({ label: `${TERMS[term].name} '${String(year).slice(-2)}`, th: `${TERMS[term].th} ${year}` });
+      if (--term < 0) { term = TERMS.length - 1; year--; }
+    }
+    return list;
+  }
+
+  function thaiSemester(label) {
+    const m = /^(\w+) '(\d{2})$/.exec(label || '');
+    const term = m && TERMS.find(t => t.name === m[1]);
+    return term ? `${term.th} 20${m[2]}` : '';
+  }
+
+  // stamp keeps the id stable while the student edits (one per page visit)
+  function makeId(text, stamp) {
+    const words = text.replace(/\[removed\]/g, ' ').toLowerCase().match(/[a-z0-9]+/g) || [];
+    const slug = words.filter(w => w.length > 3).slice(0, 2).join('-') || 'feedback';
+    return `t-${slug}-${stamp}`;
+  }
+
+  // fields: { text, semester, color, avatar } -> { record, removed }
+  function build(fields, stamp) {
+    const { text, removed } = scrub(fields.text);
+    const record = { id: makeId(text, stamp), semester: fields.semester, color: fields.color };
+    if (fields.avatar) record.avatar = fields.avatar;
+    record.text = text;
+    const th = thaiSemester(fields.semester);
+    if (th) record.i18n = { th: { semester: th } };
+    return { record, removed };
+  }
+
+  // Schema problems for one record, plus the length limits the form enforces
+  function problems(record) {
+    const list = SiteData.validate([record], SiteData.SCHEMAS.testimonials);
+    const length = typeof record.text === 'string' ? record.text.length : 0;
+    if (length && length < MIN_LENGTH) list.push(`"text" is shorter than ${MIN_LENGTH} characters`);
+    if (length > MAX_LENGTH) list.push(`"text" is longer than ${MAX_LENGTH} characters`);
+    if (record.avatar && !AVATARS.includes(record.avatar)) list.push(`"avatar" must be one of ${AVATARS.join(', ')}`);
+    return list;
+  }
+
+  // Submission files hold one record or an array of them
+  function parse(json) {
+    let data;
+    try { data = JSON.parse(json); } catch (e) { throw SiteData.fail('The submission is not valid JSON', [e.message]); }
+    const records = Array.isArray(data) ? data : [data];
+    if (!records.length) throw SiteData.fail('The submission is empty', []);
+    return records;
+  }
+
+  // Appends approved records to the published list, renaming ids that are already taken
+  function merge(published, approved) {
+    const used = new Set(published.map(t => t.id));
+    const added = approved.map(rec => {
+      let id = rec.id;
+      for (let n = 2; used.has(id); n++) id = `${rec.id}-${n}`;
+      used.add(id);
+      return Object.assign({}, rec, { id });
+    });
+    return published.concat(added);
+  }
+
+  return { AVATARS, MIN_LENGTH, MAX_LENGTH, scrub, semesters, build, problems, parse, merge };
+})();
+
+// ---- Testimonial submission form (submit-testimonial.html) ----
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.body.dataset.page !== 'submit-testimonial') return;
+
+  const form = document.getElementById('submitForm');
+  const preview = document.getElementById('submitPreview');
+  if (!form || !preview) return;
+
+  const removedEl = form.querySelector('.submit-form__removed');
+  const errorEl = form.querySelector('.submit-form__error');
+  const countEl = form.querySelector('[data-count]');
+  const email = (form.getAttribute('action') || '').replace(/^mailto:/, '');
+  const stamp = Date.now().toString(36).slice(-4);
+
+  function fillChoices() {
+    const select = form.elements.semester;
+    if (!select.options.length) {
+      TestimonialSubmission.semesters().forEach(s => select.appendChild(new Option(s.label, s.label)));
+    }
+
+    const colors = form.querySelector('.submit-form__colors');
+    SiteData.AVATAR_COLORS.forEach((color, i) => {
+      const label = document.createElement('label');
+      label.className = 'submit-form__swatch';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'color';
+      input.value = color;
+      input.checked = i === 0;
+      const dot = document.createElement('span');
+      dot.className = 't-avatar';
+      dot.dataset.color = color;
+      const name = document.createElement('span');
+      name.className = 'visually-hidden';
+      name.dataset.i18n = `submit.colors.${color}`;
+      label.append(input, dot, name);
+      colors.appendChild(label);
+    });
+
+    const avatars = form.querySelector('.submit-form__avatars');
+    [''].concat(TestimonialSubmission.AVATARS).forEach((src, i) => {
+      const label = document.createElement('label');
+      label.className = 'submit-form__swatch';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'avatar';
+      input.value = src;
+      input.checked = i === 0;
+      const face = document.createElement('span');
+      face.className = 't-avatar';
+      if (src) {
+        const img = document.createElement('img');
+        img.className = 't-avatar-img';
+        img.src = src;
+        img.alt = '';
+        face.appendChild(img);
+      }
+      const name = document.createElement('span');
+      name.className = 'visually-hidden submit-form__avatar-name';
+      name.dataset.n = String(i);
+      label.append(input, face, name);
+      avatars.appendChild(label);
+    });
+    I18n.apply(form);
+  }
+
+  function readFields() {
+    const data = new FormData(form);
+    return {
+      text: data.get('text') || '',
+      semester: data.get('semester') || '',
+      color: data.get('color') || 'blue',
+      avatar: data.get('avatar') || ''
+    };
+  }
+
+  function current() {
+    return TestimonialSubmission.build(readFields(), stamp);
+  }
+
+  function render() {
+    const { record, removed } = current();
+    countEl.textContent = String(form.elements.text.value.length);
+
+    // Colour-only avatars pick up the chosen colour in the picker too
+    form.querySelectorAll('.submit-form__avatars .t-avatar').forEach(a => { a.dataset.color = record.color; });
+    form.querySelectorAll('.submit-form__avatar-name').forEach(n => {
+      n.textContent = n.dataset.n === '0' ? I18n.t('submit.avatarNone') : I18n.t('submit.avatarN', { n: n.dataset.n });
+    });
+
+    removedEl.hidden = !removed.length;
+    removedEl.textContent = removed.length
+      ? I18n.t('submit.removed', { kinds: removed.map(k => I18n.t(`submit.kind.${k}`)).join(', ') })
+      : '';
+
+    preview.innerHTML = '';
+    if (record.text) preview.appendChild(TestimonialView.makeItem(I18n.localize(record), { reveal: false }));
+  }
+
+  // Returns the record, or null after showing what still needs fixing
+  function ready() {
+    const { record } = current();
+    let message = '';
+    if (record.text.length < TestimonialSubmission.MIN_LENGTH) {
+      message = I18n.t('submit.error.short', { n: TestimonialSubmission.MIN_LENGTH });
+    } else if (!form.elements.consent.checked) {
+      message = I18n.t('submit.error.consent');
+    } else {
+      const problems = TestimonialSubmission.problems(record);
+      if (problems.length) message = I18n.t('submit.error.invalid', { problems: problems.join('; ') });
+    }
+    errorEl.hidden = !message;
+    errorEl.textContent = message;
+    return message ? null : record;
+  }
+
+  function json(record) {
+    return JSON.stringify(record, null, 2);
+  }
+
+  form.addEventListener('input', () => {
+    render();
+    if (!errorEl.hidden) ready();
+  });
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  form.querySelector('[data-submit="download"]').addEventListener('click', () => {
+    const record = ready();
+    if (!record) return;
+    downloadFile(`${record.id}.json`, new Blob([json(record)], { type: 'application/json' }));
+  });
+
+  form.querySelector('[data-submit="email"]').addEventListener('click', () => {
+    const record = ready();
+    if (!record) return;
+    const subject = `New testimonial (${record.semester})`;
+    const body = ['Hi Ice,', '', 'Here is my feedback for the testimonials page:', '', json(record), ''].join('\r\n');
+    window.location.href = `mailto:${email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  });
+
+  document.addEventListener('localechange', render);
+
+  I18n.ready.then(() => {
+    fillChoices();
+    render();
+  });
+});
+
+// ---- Testimonial moderation (moderate-testimonials.html; owner only, nothing leaves the browser) ----
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.body.dataset.page !== 'moderate-testimonials') return;
+
+  const queueEl = document.getElementById('moderateQueue');
+  const pasteForm = document.getElementById('moderatePaste');
+  if (!queueEl || !pasteForm) return;
+
+  const emptyEl = document.querySelector('.moderate-queue__empty');
+  const status = document.querySelector('.moderate__status');
+  const fileInput = document.querySelector('.moderate-load input[type="file"]');
+  const exportBtn = document.querySelector('[data-moderate="export"]');
+  const clearBtn = document.querySelector('[data-moderate="clear"]');
+
+  const STORE_KEY = 'testimonial-moderation-v1';
+  let queue = load(); // [{ record, status: 'pending' | 'approved' | 'rejected' }]
+  let published = null;
+
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORE_KEY) || '[]');
+      return Array.isArray(saved) ? saved.filter(s => s && s.record && s.status) : [];
+    } catch { return []; }
+  }
+
+  function save() {
+    try { localStorage.setItem(STORE_KEY, JSON.stringify(queue)); } catch {}
+  }
+
+  function say(text) {
+    if (status) status.textContent = text;
+  }
+
+  // Adds valid records that aren't queued yet; returns { added, skipped, invalid: [problem] }
+  function add(records) {
+    const result = { added: 0, skipped: 0, invalid: [] };
+    records.forEach((rec, i) => {
+      const problems = rec && typeof rec === 'object' ? TestimonialSubmission.problems(rec) : ['not an object'];
+      if (problems.length) {
+        result.invalid.push(`#${i + 1}: ${problems.join(', ')}`);
+        return;
+      }
+      if (queue.some(s => s.record.id === rec.id && s.record.text === rec.text)) {
+        result.skipped++;
+        return;
+      }
+      queue.push({ record: rec, status: 'pending' });
+      result.added++;
+    });
+    save();
+    render();
+    return result;
+  }
+
+  function report(result) {
+    const parts = [I18n.t('moderate.status.added', { n: result.added })];
+    if (result.skipped) parts.push(I18n.t('moderate.status.skipped', { n: result.skipped }));
+    if (result.invalid.length) parts.push(I18n.t('moderate.status.invalid', { problems: result.invalid.join('; ') }));
+    say(parts.join(' '));
+  }
+
+  function button(label, action, pressed) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'chip chip--link';
+    btn.dataset.action = action;
+    btn.textContent = label;
+    if (pressed !== undefined) btn.setAttribute('aria-pressed', String(pressed));
+    return btn;
+  }
+
+  function render() {
+    queueEl.innerHTML = '';
+    if (emptyEl) emptyEl.hidden = queue.length > 0;
+    queue.forEach((s, i) => {
+      const li = document.createElement('li');
+      li.className = `moderate-item is-${s.status}`;
+      li.dataset.index = String(i);
+
+      const meta = document.createElement('p');
+      meta.className = 'moderate-item__meta';
+      meta.textContent = `${s.record.id} · ${I18n.t(`moderate.state.${s.status}`)}`;
+      li.appendChild(meta);
+      li.appendChild(TestimonialView.makeItem(I18n.localize(s.record), { reveal: false }));
+
+      // Submissions can be edited by hand before they arrive; flag anything the form would have removed
+      const { removed } = TestimonialSubmission.scrub(s.record.text);
+      if (removed.length) {
+        const warn = document.createElement('p');
+        warn.className = 'moderate-item__warning';
+        warn.textContent = I18n.t('moderate.identifying', { kinds: removed.map(k => I18n.t(`submit.kind.${k}`)).join(', ') });
+        li.appendChild(warn);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'moderate-item__actions';
+      actions.append(
+        button(I18n.t('moderate.approve'), 'approved', s.status === 'approved'),
+        button(I18n.t('moderate.reject'), 'rejected', s.status === 'rejected')
+      );
+      if (s.status !== 'pending') actions.appendChild(button(I18n.t('moderate.undo'), 'pending'));
+      li.appendChild(actions);
+      queueEl.appendChild(li);
+    });
+    const approved = queue.filter(s => s.status === 'approved').length;
+    if (exportBtn) exportBtn.textContent = I18n.t('moderate.exportN', { n: approved });
+  }
+
+  queueEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-action]');
+    const li = btn && btn.closest('.moderate-item');
+    if (!li) return;
+    queue[Number(li.dataset.index)].status = btn.dataset.action;
+    save();
+    render();
+  });
+
+  fileInput && fileInput.addEventListener('change', () => {
+    const files = Array.from(fileInput.files || []);
+    Promise.all(files.map(f => f.text().then(TestimonialSubmission.parse)))
+      .then(lists => report(add([].concat(...lists))))
+      .catch(err => say(I18n.t('moderate.status.failed', { error: err.message })))
+      .finally(() => { fileInput.value = ''; }); // allow picking the same file again
+  });
+
+  pasteForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const text = pasteForm.elements.json.value;
+    // Emails wrap the record in a greeting; keep only the JSON part
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    try {
+      report(add(TestimonialSubmission.parse(start === -1 ? text : text.slice(start, end + 1))));
+      pasteForm.reset();
+    } catch (err) {
+      say(I18n.t('moderate.status.failed', { error: err.message }));
+    }
+  });
+
+  exportBtn && exportBtn.addEventListener('click', () => {
+    if (!published) {
+      say(I18n.t('moderate.status.noBase'));
+      return;
+    }
+    const approved = queue.filter(s => s.status === 'approved').map(s => s.record);
+    const merged = TestimonialSubmission.merge(published, approved);
+    downloadFile('testimonials.json', new Blob([JSON.stringify(merged, null, 2) + '\n'], { type: 'application/json' }));
+    say(I18n.t('moderate.status.exported', { n: approved.length, total: merged.length }));
+  });
+
+  clearBtn && clearBtn.addEventListener('click', () => {
+    if (!queue.some(s => s.status !== 'pending')) return;
+    if (!window.confirm(I18n.t('moderate.confirmClear'))) return;
+    queue = queue.filter(s => s.status === 'pending');
+    save();
+    render();
+  });
+
+  document.addEventListener('localechange', render);
+
+  // The published list is the base of every export
+  Promise.all([SiteData.load('testimonials'), I18n.ready])
+    .then(([list]) => { published = list; })
+    .catch(err => say(`${I18n.t('moderate.status.noBase')} ${err.message}`))
+    .finally(render);
+});
+
+// ===== Mobile help-grid: WebKit drag-to-scroll fallback =====
+(function () {
+  const grid = document.querySelector('.help-grid');
+  if (!grid) return;
+
+  const isWebKit = /AppleWebKit/i.test(navigator.userAgent) && !/Edg/i.test(navigator.userAgent);
+  const isSmall  = window.matchMedia('(max-width: 900px)').matches;
+  if (!(isWebKit && isSmall)) return;
+
+  let isDown = false;
+  let startX = 0;
+  let startY = 0;
+  let startScroll = 0;
+
+  function onDown(e) {
+    const p = e.touches ? e.touches[0] : e;
+    isDown = true;
+    startX = p.pageX;
+    startY = p.pageY;
+    startScroll = grid.scrollLeft;
+    grid.classList.add('is-dragging');
+  }
+
+  function onMove(e) {
+    if (!isDown) return;
+    const p = e.touches ? e.touches[0] : e;
+    const dx = p.pageX - startX;
+    const dy = Math.abs(p.pageY - startY);
+    if (e.cancelable && Math.abs(dx) > dy) e.preventDefault(); // assert horizontal intent
+    grid.scrollLeft = startScroll - dx;
+  }
+
+  function onUp() {
+    isDown = false;
+    grid.classList.remove('is-dragging');
+  }
+
+  // Mouse support (desktop Safari small windows)
+  grid.addEventListener('mousedown', onDown);
+  grid.addEventListener('mousemove', onMove);
+  grid.addEventListener('mouseleave', onUp);
+  grid.addEventListener('mouseup', onUp);
+
+  // Touch support (iOS Safari/Chrome)
+  grid.addEventListener('touchstart', onDown, { passive: true });
+  grid.addEventListener('touchmove', onMove, { passive: false });
+  grid.addEventListener('touchend', onUp);
+})();
+
+// ---- Milestone plans (sample.html detail view): weekly timeline from data/milestones.json ----
+// Phases (ideation → presentation) share the weeks by their "share"; each phase's goals come from the
+// project's template, falling back to "defaults". Dates are local calendar days ('YYYY-MM-DD').
+const MilestonePlan = (function () {
+  const MONTHS = [4, 5, 6];
+  const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+  const HM = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+  function validate(d) {
+    const problems = [];
+    if (!d || typeof d !== 'object') return ['expected a JSON object'];
+    if (!(Number.isInteger(d.checkInMinutes) && d.checkInMinutes > 0)) problems.push('"checkInMinutes" must be a positive whole number');
+    if (!Array.isArray(d.phases) || !d.phases.length) return problems.concat('"phases" must list at least one phase');
+    const ids = [];
+    d.phases.forEach((p, i) => {
+      const where = `phases #${i + 1}`;
+      if (!p || typeof p.id !== 'string' || !p.id) problems.push(`${where} is missing "id"`);
+      else if (ids.includes(p.id)) problems.push(`${where}: duplicate id "${p.id}"`);
+      else ids.push(p.id);
+      if (!p || typeof p.label !== 'string' || !p.label) problems.push(`${where} is missing "label"`);
+      if (!(p && p.share > 0)) problems.push(`${where}: "share" must be a positive number`);
+    });
+    const goalsOk = (list) => Array.isArray(list) && list.length && list.every(g => typeof g === 'string' && g);
+    ids.forEach(id => {
+      if (!goalsOk(d.defaults && d.defaults[id])) problems.push(`"defaults" needs a list of goals for "${id}"`);
+    });
+    Object.keys(d.projects || {}).forEach(pid => {
+      Object.keys(d.projects[pid]).filter(k => k !== 'i18n').forEach(k => {
+        if (!ids.includes(k)) problems.push(`projects "${pid}": unknown phase "${k}"`);
+        else if (!goalsOk(d.projects[pid][k])) problems.push(`projects "${pid}": "${k}" must be a list of goals`);
+      });
+    });
+    return problems;
+  }
+
+  // --- Dates (local calendar days, so DST never shifts a check-in to another day) ---
+  function parseDate(key) {
+    const m = DATE.exec(key || '');
+    return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+  }
+
+  function dateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  // Default start: the coming Monday
+  function nextMonday(from = new Date()) {
+    return addDays(from, ((8 - from.getDay()) % 7) || 7);
+  }
+
+  function weeksFor(months) {
+    return Math.round(months * 52 / 12);
+  }
+
+  // Largest-remainder split of the weeks by share; every phase gets at least one week
+  function allocate(phases, weeks) {
+    const total = phases.reduce((sum, p) => sum + p.share, 0);
+    const raw = phases.map(p => p.share / total * weeks);
+    const counts = raw.map(r => Math.max(1, Math.floor(r)));
+    let left = weeks - counts.reduce((a, b) => a + b, 0);
+    const order = raw
+      .map((r, i) => ({ i, frac: r - Math.floor(r) }))
+      .sort((a, b) => b.frac - a.frac || a.i - b.i);
+    for (let k = 0; left > 0; k = (k + 1) % order.length, left--) counts[order[k].i]++;
+    // The one-week minimum can overshoot: give weeks back from the longest phases
+    while (left < 0) { counts[counts.indexOf(Math.max(...counts))]--; left++; }
+    return counts;
+  }
+
+  // -> { projectId, start, months, phases: [{ id, label, done, from, to }], weeks: [{ n, date, phase, goals, continued }] }
+  // Goals spread evenly over a phase's weeks; extra weeks keep working on the same goal (continued).
+  function build(data, projectId, { start, months }) {
+    const first = parseDate(start);
+    const template = Object.assign({}, I18n.localize(data.defaults), I18n.localize((data.projects || {})[projectId] || {}));
+    const phases = data.phases.map(I18n.localize);
+    const counts = allocate(phases, weeksFor(months));
+    const weeks = [];
+    const planPhases = [];
+
+    phases.forEach((phase, pi) => {
+      const goals = template[phase.id];
+      const c = counts[pi];
+      const from = weeks.length + 1;
+      let prevEnd = 0;
+      for (let i = 0; i < c; i++) {
+        const s = Math.floor(i * goals.length / c);
+        const e = Math.max(s + 1, Math.floor((i + 1) * goals.length / c));
+        weeks.push({
+          n: weeks.length + 1,
+          date: addDays(first, weeks.length * 7),
+          phase: phase.id,
+          goals: goals.slice(s, e),
+          continued: i > 0 && s < prevEnd
+        });
+        prevEnd = e;
+      }
+      planPhases.push({ id: phase.id, label: phase.label, done: phase.done || '', from, to: weeks.length });
+    });
+
+    return { projectId, start: dateKey(first), months, phases: planPhases, weeks };
+  }
+
+  function formatDay(date, opts = { weekday: 'short', month: 'short', day: 'numeric' }) {
+    return new Intl.DateTimeFormat(I18n.locale, opts).format(date);
+  }
+
+  function goalText(week) {
+    const text = week.goals.join('; ');
+    return week.continued ? I18n.t('plan.continue', { goal: text }) : text;
+  }
+
+  // done: Set of finished week numbers, written as task-list checkboxes
+  function toMarkdown(plan, { title, done = new Set() }) {
+    const last = plan.weeks[plan.weeks.length - 1];
+    const lines = [
+      `# ${I18n.t('plan.md.heading', { title })}`,
+      '',
+      I18n.t('plan.md.summary', {
+        start: formatDay(plan.weeks[0].date, { dateStyle: 'long' }),
+        end: formatDay(last.date, { dateStyle: 'long' }),
+        months: plan.months,
+        weeks: plan.weeks.length
+      })
+    ];
+    plan.phases.forEach(phase => {
+      lines.push('', `## ${phase.label} (${I18n.t('plan.weeks', { from: phase.from, to: phase.to })})`);
+      if (phase.done) lines.push('', `_${I18n.t('plan.doneWhen', { done: phase.done })}_`);
+      lines.push('');
+      plan.weeks.filter(w => w.phase === phase.id).forEach(w => {
+        const box = done.has(w.n) ? '[x]' : '[ ]';
+        lines.push(`- ${box} **${I18n.t('plan.week', { n: w.n })}** (${formatDay(w.date)}): ${goalText(w)}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // One event per weekly check-in at `time` (HH:MM, the visitor's local time)
+  function toIcs(plan, { title, time, minutes }) {
+    const [, hh, mm] = HM.exec(time) || [null, '17', '00'];
+    const labels = Object.fromEntries(plan.phases.map(p => [p.id, p.label]));
+    const events = plan.weeks.map(w => {
+      const start = new Date(w.date.getFullYear(), w.date.getMonth(), w.date.getDate(), Number(hh), Number(mm)).getTime();
+      return {
+        uid: `plan-${plan.projectId}-${plan.start}-w${w.n}@pawat-unj.github.io`,
+        start,
+        end: start + minutes * 60000,
+        summary: I18n.t('plan.ics.summary', { n: w.n, title }),
+        description: `${labels[w.phase]}: ${goalText(w)}`
+      };
+    });
+    return Ics.calendar(events, { name: I18n.t('plan.md.heading', { title }) });
+  }
+
+  return { MONTHS, validate, parseDate, dateKey, addDays, nextMonday, weeksFor, allocate, build, formatDay, goalText, toMarkdown, toIcs };
+})();
+
+// ===== Sample project cards, shared by the samples page and scripts/build.js =====
+const SampleView = (function () {
+  function makeCard(p, isClone) {
+    const card = document.createElement('article');
+    card.className = 'sample-card';
+    card.setAttribute('data-id', p.id);
+    // Only the middle copy of the circular track is exposed to assistive tech and Tab
+    if (isClone) card.setAttribute('aria-hidden', 'true');
+
+    const img = document.createElement('img');
+    img.className = 'sample-card__img';
+    img.alt = p.name;
+    img.loading = 'lazy';
+    img.decoding = 'async';
+    img.src = p.img;
+
+    const body = document.createElement('div');
+    body.className = 'sample-card__body';
+
+    const name = document.createElement('h3');
+    name.className = 'sample-card__name';
+    // Stretched link: the whole card opens the detail view (sample.html#<id>)
+    const link = document.createElement('a');
+    link.className = 'sample-card__link';
+    link.href = `#${encodeURIComponent(p.id)}`;
+    link.textContent = p.name;
+    if (isClone) link.tabIndex = -1;
+    name.appendChild(link);
+
+    const desc = document.createElement('p');
+    desc.className = 'sample-card__desc';
+    desc.textContent = p.desc;
+
+    body.appendChild(name);
+    body.appendChild(desc);
+    card.appendChild(img);
+    card.appendChild(body);
+    return card;
+  }
+
+  return { makeCard };
+})();
+
+// ===== Samples page: render 2-row horizontal circular scroller =====
+(function () {
+  const page = document.body && document.body.getAttribute('data-page');
+  if (page !== 'samples') return;
+
+  const scroller = document.getElementById('samplesScroller');
+  const track    = document.getElementById('samplesTrack');
+  const detail   = document.getElementById('sampleDetail');
+  const list     = scroller && scroller.closest('.samples');
+  if (!scroller || !track) return;
+
+  let RECORDS = [];  // loaded from data/projects.json
+  let PROJECTS = []; // RECORDS in the current language
+  let PLANS = null;  // data/milestones.json, or { error } when it couldn't be used
+
+  function renderCards(list, isClone) {
+    const frag = document.createDocumentFragment();
+    list.forEach(p => frag.appendChild(SampleView.makeCard(p, isClone)));
+    return frag;
+  }
+
+  let visible = [];       // PROJECTS after filtering
+  let looping = false;    // circular mode: only when one sequence overflows the scroller
+  const canLoop = !ContentEditor.active; // ?edit needs each card exactly once
+  let builtHidden = false; // track was built while the list was hidden (nothing could be measured)
+  let buildId = 0;
+
+  function makeEmpty() {
+    const empty = document.createElement('p');
+    empty.className = 'samples-empty';
+    empty.textContent = I18n.t('samples.empty');
+    return empty;
+  }
+
+  // scripts/build.js ships every card (English, file order) in the track; keep them when they match
+  function prerendered(items) {
+    if (!track.hasAttribute('data-prerendered')) return false;
+    track.removeAttribute('data-prerendered');
+    const ids = Array.from(track.children, card => card.dataset.id);
+    return I18n.locale === I18n.FALLBACK && !ContentEditor.active &&
+      ids.length === items.length && items.every((p, i) => p.id === ids[i]);
+  }
+
+  // Build 3 copies for seamless circular scroll when the subset overflows; otherwise one static copy
+  function buildTrack(items) {
+    const reuse = prerendered(items);
+    if (!reuse) track.innerHTML = '';
+    baseWidth = 0;
+    looping = false;
+    builtHidden = !!(list && list.hidden);
+    track.classList.toggle('is-empty', !items.length);
+    if (!items.length) {
+      track.appendChild(makeEmpty());
+      return;
+    }
+
+    if (!reuse) track.appendChild(renderCards(items, false));
+    looping = canLoop && items.length > 2 && track.scrollWidth > track.clientWidth + 1;
+    track.classList.toggle('is-static', !looping);
+    if (!looping) return;
+
+    // With 2 rows, an odd count would split a column across copies; pad each copy to whole columns
+    const pad = items.length % 2 ? items : [];
+    track.insertBefore(renderCards(items.concat(pad), true), track.firstChild);
+    track.appendChild(renderCards(pad, true));
+    track.appendChild(renderCards(items.concat(pad), true));
+  }
+
+  // Run cb once every image in the track has loaded or failed (ignored if the track was rebuilt meanwhile)
+  function afterImages(cb) {
+    const id = buildId;
+    const imgs = Array.from(track.querySelectorAll('img'));
+    let pending = imgs.length;
+    function done() { if (id === buildId) cb(); }
+    if (!pending) { done(); return; }
+    imgs.forEach(img => {
+      if (img.complete) { if (--pending === 0) done(); return; }
+      img.addEventListener('load', () => { if (--pending === 0) done(); }, { once: true });
+      img.addEventListener('error', () => { if (--pending === 0) done(); }, { once: true });
+    });
+  }
+
+  function refreshTrack() {
+    buildId++;
+    buildTrack(visible);
+    afterImages(() => {
+      measureBaseWidth();
+      centerOnMiddle();
+    });
+  }
+
+  // ---- Filters: tag chips, difficulty, free text — mirrored in the query string ----
+  const filterForm = document.getElementById('samplesFilter');
+  const filterCount = document.getElementById('samplesCount');
+  const filters = { tags: [], difficulty: '', q: '' };
+
+  function readFilters() {
+    const params = new URLSearchParams(location.search);
+    filters.tags = (params.get('tags') || '').split(',').filter(t => SiteData.PROJECT_TAGS.includes(t));
+    const difficulty = params.get('difficulty') || '';
+    filters.difficulty = SiteData.DIFFICULTIES.includes(difficulty) ? difficulty : '';
+    filters.q = params.get('q') || '';
+  }
+
+  function writeFilters() {
+    const params = new URLSearchParams(location.search);
+    const set = (key, value) => { if (value) params.set(key, value); else params.delete(key); };
+    set('tags', filters.tags.join(','));
+    set('difficulty', filters.difficulty);
+    set('q', filters.q.trim());
+    const qs = params.toString().replace(/%2C/g, ',');
+    history.replaceState(history.state, '', location.pathname + (qs ? `?${qs}` : '') + location.hash);
+  }
+
+  function syncFilterControls() {
+    if (!filterForm) return;
+    filterForm.querySelectorAll('[data-tag]').forEach(chip => {
+      chip.setAttribute('aria-pressed', String(filters.tags.includes(chip.dataset.tag)));
+    });
+    if (filterForm.elements.difficulty) filterForm.elements.difficulty.value = filters.difficulty;
+    if (filterForm.elements.q) filterForm.elements.q.value = filters.q;
+  }
+
+  // Selected tags are OR-ed; every search word must appear in the name or description
+  function matchesFilters(p) {
+    if (filters.tags.length && !filters.tags.some(t => (p.tags || []).includes(t))) return false;
+    if (filters.difficulty && p.difficulty !== filters.difficulty) return false;
+    const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    const haystack = `${p.name} ${p.desc}`.toLowerCase();
+    return words.every(w => haystack.includes(w));
+  }
+
+  function applyFilters() {
+    visible = PROJECTS.filter(matchesFilters);
+    if (filterCount) {
+      const active = filters.tags.length || filters.difficulty || filters.q.trim();
+      filterCount.textContent = active
+        ? I18n.t('samples.countFiltered', { shown: visible.length, total: PROJECTS.length })
+        : I18n.t('samples.count', { total: PROJECTS.length });
+    }
+    if (filterForm && filterForm.elements.clear) {
+      filterForm.elements.clear.hidden = !(filters.tags.length || filters.difficulty || filters.q);
+    }
+    refreshTrack();
+  }
 
-  // Measurements
-  let width = 0, height = 0;
-  function measure() {
-    const r = hero.getBoundingClientRect();
-    width = r.width;
-    height = r.height;
-  }
-  measure();
-
-  // Rocket size (for center-based positioning)
-    let halfW = 0, halfH = 0;
-    function measureRocket() {
-    // offsetWidth/Height are not affected by CSS transforms
-    const w = rocket.offsetWidth || 0;
-    const h = rocket.offsetHeight || 0;
-    halfW = w / 2;
-    halfH = h / 2;
-    }
-    measureRocket();
-
-  // --- Tunables ---
-  const SPEED = 160;                      // px/s constant cruise
-  const BASE_MAX_TURN = Math.PI * 1.1;    // rad/s
-  const AVOID_MARGIN = 140;               // px
-  const AVOID_GAIN = 2.0;                 // strength of edge repulsion
-
-  // Wander (frequent course changes)
-  const WANDER_MAX = Math.PI / 5;         // +/- ~36°
-  const WANDER_JITTER = Math.PI / 24;     // ~7.5° per update
-  const WANDER_UPDATE_MS = 400;           // ms
-  const WANDER_SMOOTH_RATE = 5.0;         // per second
-
-  // Waypoint guidance to improve coverage
-  const WAYPOINT_GAIN = 0.35;
-  const WAYPOINT_MARGIN = 100;
-  const WAYPOINT_REACH_DIST = 90;         // px
-  const WAYPOINT_TIMEOUT_MS = 10000;      // ms
-
-  // Launch behavior
-  const AUTO_LAUNCH_DELAY = 2000;         // ms until auto launch
-  const LAUNCH_ACCEL_DURATION = 1000;     // ms to accelerate to SPEED
-  const EASE_IN_OUT = (t) => (t <= 0 ? 0 : t >= 1 ? 1 : t * t * (3 - 2 * t));
+  function bindFilters() {
+    if (!filterForm) return;
+    let searchTimer = null;
 
-  // --- State ---
-  let mode = 'idle';                      // 'idle' | 'launching' | 'flight'
-  let currentSpeed = 0;
-  let x = 0, y = 0;
-  let heading = -Math.PI / 6;             // slight up-right angle
+    filterForm.addEventListener('submit', (e) => e.preventDefault());
 
-  // Wander/waypoint state
-  let wanderOffset = 0;
-  let wanderTarget = 0;
-  let waypoint = { x: width * 0.75, y: height * 0.35 };
-  let waypointDeadline = performance.now() + WAYPOINT_TIMEOUT_MS;
+    filterForm.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-tag]');
+      if (!chip) return;
+      const tag = chip.dataset.tag;
+      filters.tags = filters.tags.includes(tag)
+        ? filters.tags.filter(t => t !== tag)
+        : filters.tags.concat(tag);
+      syncFilterControls();
+      writeFilters();
+      applyFilters();
+    });
 
-  // Utils
-  const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
-  const normalizeAngle = (a) => Math.atan2(Math.sin(a), Math.cos(a));
-  const smoothStep01 = (t) => { t = clamp(t, 0, 1); return t * t * (3 - 2 * t); };
+    filterForm.addEventListener('change', (e) => {
+      if (e.target.name !== 'difficulty') return;
+      filters.difficulty = e.target.value;
+      writeFilters();
+      applyFilters();
+    });
 
-  function applyTransform() {
-    const deg = (heading * 180 / Math.PI) + 45;
-    // Position the element so that its center is at (x, y)
-    rocket.style.transform = `translate(${x - halfW}px, ${y - halfH}px) rotate(${deg}deg)`;
-  }
-
-  function seatAtTitle() {
-    const hb = hero.getBoundingClientRect();
-  
-    // Default to hero center
-    let cx = width * 0.5;
-    let cy = height * 0.5;
-  
-    if (title) {
-      const tb = title.getBoundingClientRect();
-      // Center of the H1 in hero-local coordinates
-      cx = ((tb.left + tb.right) / 2) - hb.left;
-      cy = ((tb.top  + tb.bottom) / 2) - hb.top;
-    }
-  
-    cy -= 80;
-
-    // Clamp using half sizes so the rocket never clips at edges
-    x = clamp(cx, halfW + 2, width  - halfW - 2);
-    y = clamp(cy, halfH + 2, height - halfH - 2);
-  
-    applyTransform();
-  }
-
-  // Initial seat; re-seat after fonts and load settle
-  seatAtTitle();
-  if (document.fonts && document.fonts.ready) {
-    document.fonts.ready.then(() => { measure(); seatAtTitle(); });
-  }
-  window.addEventListener('load', () => { measure(); seatAtTitle(); });
-
-  function resize() {
-    measure();
-    measureRocket();
-    // keep center inside on resize, accounting for rocket size
-    x = clamp(x, halfW + 8, width  - halfW - 8);
-    y = clamp(y, halfH + 8, height - halfH - 8);
-    // keep waypoint valid
-    waypoint.x = clamp(waypoint.x, WAYPOINT_MARGIN, width  - WAYPOINT_MARGIN);
-    waypoint.y = clamp(waypoint.y, WAYPOINT_MARGIN, height - WAYPOINT_MARGIN);
-    if (mode === 'idle') seatAtTitle();
-    }
-  window.addEventListener('resize', resize);
-
-  function nudgeWander() {
-    wanderTarget = clamp(
-      wanderTarget + (Math.random() * 2 - 1) * WANDER_JITTER,
-      -WANDER_MAX,
-      WANDER_MAX
-    );
+    filterForm.addEventListener('input', (e) => {
+      if (e.target.name !== 'q') return;
+      filters.q = e.target.value;
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => { writeFilters(); applyFilters(); }, 150);
+    });
+
+    filterForm.addEventListener('reset', (e) => {
+      e.preventDefault();
+      filters.tags = [];
+      filters.difficulty = '';
+      filters.q = '';
+      syncFilterControls();
+      writeFilters();
+      applyFilters();
+    });
   }
-  nudgeWander();
-  setInterval(nudgeWander, WANDER_UPDATE_MS);
-
-  function pickWaypoint() {
-    const now = performance.now();
-    const minDX = width * 0.25;
-    const minDY = height * 0.25;
-    let tx, ty, tries = 0;
-    do {
-      tx = WAYPOINT_MARGIN + Math.random() * (width - 2 * WAYPOINT_MARGIN);
-      ty = WAYPOINT_MARGIN + Math.random() * (height - 2 * WAYPOINT_MARGIN);
-      tries++;
-    } while (tries < 10 && Math.abs(tx - x) < minDX && Math.abs(ty - y) < minDY);
-    waypoint = { x: tx, y: ty };
-    waypointDeadline = now + WAYPOINT_TIMEOUT_MS * (0.7 + Math.random() * 0.8); // 7–18s
-  }
-
-  function edgeRepulsion(px, py) {
-    let fx = 0, fy = 0;
-    const leftT   = (AVOID_MARGIN - px) / AVOID_MARGIN;
-    const rightT  = (AVOID_MARGIN - (width  - px)) / AVOID_MARGIN;
-    const topT    = (AVOID_MARGIN - py) / AVOID_MARGIN;
-    const bottomT = (AVOID_MARGIN - (height - py)) / AVOID_MARGIN;
-    if (leftT   > 0) fx += smoothStep01(leftT);
-    if (rightT  > 0) fx -= smoothStep01(rightT);
-    if (topT    > 0) fy += smoothStep01(topT);
-    if (bottomT > 0) fy -= smoothStep01(bottomT);
-    return { fx: fx * AVOID_GAIN, fy: fy * AVOID_GAIN };
-  }
-
-  // --- Trigger: click or 5s auto ---
-  rocket.style.pointerEvents = 'auto';
-  rocket.style.cursor = 'pointer';
-  let launchStart = 0;
-  const autoTimer = setTimeout(() => launch(), AUTO_LAUNCH_DELAY);
-  rocket.addEventListener('click', (e) => {
-    e.preventDefault();
-    e.stopPropagation();
-    clearTimeout(autoTimer);
-    launch();
-  });
-
-  function launch() {
-    if (mode !== 'idle') return;
-    mode = 'launching';
-    rocket.style.pointerEvents = 'none';
-    rocket.style.cursor = 'default';
-    rocket.classList.add('launched'); // optional CSS hook
-    currentSpeed = 0;
-    launchStart = performance.now();
-  }
-
-  // While idle, keep the rocket seated over the title in case layout shifts
-  const idleSeatTimer = setInterval(() => {
-    if (mode === 'idle') seatAtTitle(); else clearInterval(idleSeatTimer);
-  }, 250);
-
-  let last = performance.now();
-  function step(now) {
-    let dt = (now - last) / 1000;
-    last = now;
-    dt = Math.min(dt, 0.06);
-
-    if (mode === 'idle') {
-      // stay parked
-      return requestAnimationFrame(step);
-    }
-
-    if (mode === 'launching') {
-      const t = clamp((now - launchStart) / LAUNCH_ACCEL_DURATION, 0, 1);
-      currentSpeed = SPEED * EASE_IN_OUT(t);
-      if (t >= 1) { mode = 'flight'; currentSpeed = SPEED; }
-    }
-
-    // Ease wander offset toward its target
-    const alpha = clamp(dt * WANDER_SMOOTH_RATE, 0, 1);
-    wanderOffset = wanderOffset + (wanderTarget - wanderOffset) * alpha;
-
-    // Directions
-    const dirX = Math.cos(heading), dirY = Math.sin(heading);
-    const wanderX = Math.cos(heading + wanderOffset), wanderY = Math.sin(heading + wanderOffset);
-    const { fx, fy } = edgeRepulsion(x, y);
-
-    // Waypoint vector
-    const wvx = waypoint.x - x;
-    const wvy = waypoint.y - y;
-    const wlen = Math.hypot(wvx, wvy) || 1;
-    let wx = wvx / wlen, wy = wvy / wlen;
-    if (wlen < WAYPOINT_REACH_DIST || now > waypointDeadline) pickWaypoint();
-
-    // Combine influences
-    let desX = dirX + 0.55 * wanderX + fx + WAYPOINT_GAIN * wx;
-    let desY = dirY + 0.55 * wanderY + fy + WAYPOINT_GAIN * wy;
-    const len = Math.hypot(desX, desY) || 1;
-    desX /= len; desY /= len;
-
-    // Dynamic turning
-    const desiredHeading = Math.atan2(desY, desX);
-    const repulseMag = clamp(Math.hypot(fx, fy), 0, 1);
-    const angleDelta = Math.abs(normalizeAngle(desiredHeading - heading));
-    const angleFactor = clamp(angleDelta / (Math.PI / 2), 0, 1.6);
-    const dynamicFactor = clamp(0.85 + 0.9 * repulseMag + 0.6 * angleFactor, 0.85, 2.1);
-    const maxTurnThisFrame = BASE_MAX_TURN * dynamicFactor * dt;
-    const delta = normalizeAngle(desiredHeading - heading);
-    const turn = clamp(delta, -maxTurnThisFrame, maxTurnThisFrame);
-    heading = normalizeAngle(heading + turn);
-
-    // Integrate motion (constant speed once launched)
-    x += Math.cos(heading) * currentSpeed * dt;
-    y += Math.sin(heading) * currentSpeed * dt;
-    x = clamp(x, 2, width - 2);
-    y = clamp(y, 2, height - 2);
-
-    applyTransform();
-    requestAnimationFrame(step);
-  }
-
-  // Always animate (ignore prefers-reduced-motion for this interactive element)
-  document.addEventListener('visibilitychange', () => {
-    if (!document.hidden) last = performance.now();
-  });
-  requestAnimationFrame((t) => { last = t; step(t); });
-});
 
-document.addEventListener('DOMContentLoaded', () => {
-    const observer = new IntersectionObserver((entries, observer) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const el = entry.target;
-          const text = el.dataset.text;
-          if (!el.dataset.typed) {
-            el.dataset.typed = 'true';
-            let i = 0;
-            const interval = setInterval(() => {
-              el.textContent = text.slice(0, i + 1);
-              i++;
-              if (i >= text.length) {
-                clearInterval(interval);
-                el.style.borderRight = 'none';
-              }
-            }, 70);
-          }
-          observer.unobserve(el);
-        }
+  // ---- Detail view (sample.html#<id>) ----
+  let baseTitle = document.title; // re-read after language switches
+  let listScrollLeft = 0;    // scroller position to restore when returning to the list
+  let lastId = '';           // project last shown, so focus can return to its card
+  let openedFromList = false; // true when the detail was reached by clicking a card on this page
+
+  function section(title, child) {
+    const wrap = document.createElement('section');
+    wrap.className = 'sample-detail__section';
+    const h = document.createElement('h3');
+    h.textContent = title;
+    wrap.appendChild(h);
+    wrap.appendChild(child);
+    return wrap;
+  }
+
+  function makeDetail(p) {
+    const card = document.createElement('article');
+    card.className = 'sample-detail__card';
+    card.setAttribute('data-id', p.id);
+
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'chip chip--link sample-detail__back';
+    back.textContent = I18n.t('samples.back');
+    back.addEventListener('click', showList);
+    card.appendChild(back);
+
+    const img = document.createElement('img');
+    img.className = 'sample-detail__img';
+    img.alt = p.name;
+    img.decoding = 'async';
+    img.src = p.img;
+    card.appendChild(img);
+
+    const name = document.createElement('h2');
+    name.className = 'sample-detail__name';
+    name.tabIndex = -1; // focus target when the view opens
+    name.textContent = p.name;
+    card.appendChild(name);
+
+    const facts = document.createElement('ul');
+    facts.className = 'sample-detail__facts';
+    [
+      [I18n.t('samples.difficulty'), p.difficulty && I18n.t(`difficulty.${p.difficulty}`)],
+      [I18n.t('samples.duration'), p.duration]
+    ].forEach(([label, value]) => {
+      if (!value) return;
+      const li = document.createElement('li');
+      li.className = 'chip';
+      li.textContent = `${label}: ${value}`;
+      facts.appendChild(li);
+    });
+    if (facts.children.length) card.appendChild(facts);
+
+    const writeup = document.createElement('div');
+    writeup.className = 'sample-detail__writeup';
+    (p.writeup || p.desc).split(/\n{2,}/).forEach(para => {
+      const el = document.createElement('p');
+      el.textContent = para.trim();
+      writeup.appendChild(el);
+    });
+    card.appendChild(writeup);
+
+    if (p.stack && p.stack.length) {
+      const stack = document.createElement('ul');
+      stack.className = 'sample-detail__stack';
+      p.stack.forEach(tech => {
+        const li = document.createElement('li');
+        li.className = 'chip';
+        li.textContent = tech;
+        stack.appendChild(li);
       });
-    }, { threshold: 0.6 });
-  
-    document.querySelectorAll('.typewriter').forEach(el => {
-      observer.observe(el);
+      card.appendChild(section(I18n.t('samples.stack'), stack));
+    }
+
+    if (p.milestones && p.milestones.length) {
+      const steps = document.createElement('ol');
+      steps.className = 'sample-detail__milestones';
+      p.milestones.forEach(m => {
+        const li = document.createElement('li');
+        li.textContent = m;
+        steps.appendChild(li);
+      });
+      card.appendChild(section(I18n.t('samples.milestones'), steps));
+    }
+
+    card.appendChild(section(I18n.t('plan.title'), makePlanner(p)));
+
+    return card;
+  }
+
+  // ---- Milestone plan generator (detail view; see MilestonePlan) ----
+  const PLAN_KEY = 'plan-v1:'; // + project id -> { start, months, time, done: [week numbers] }
+
+  function loadPlans() {
+    return SiteData.fetchJson('milestones')
+      .then(data => {
+        const problems = MilestonePlan.validate(data);
+        if (problems.length) throw SiteData.fail('data/milestones.json is invalid', problems);
+        return data;
+      })
+      .catch(error => ({ error })); // the samples still work; the planner shows the error
+  }
+
+  function loadPlanState(p) {
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(PLAN_KEY + p.id) || 'null'); } catch {}
+    saved = saved || {};
+    const suggested = parseInt(p.duration, 10) || 5; // "4–5 months" -> 4
+    return {
+      start: MilestonePlan.parseDate(saved.start) ? saved.start : MilestonePlan.dateKey(MilestonePlan.nextMonday()),
+      months: MilestonePlan.MONTHS.includes(saved.months) ? saved.months : Math.min(6, Math.max(4, suggested)),
+      time: /^\d{2}:\d{2}$/.test(saved.time || '') ? saved.time : '17:00',
+      done: Array.isArray(saved.done) ? saved.done.filter(Number.isInteger) : []
+    };
+  }
+
+  function savePlanState(id, state) {
+    try { localStorage.setItem(PLAN_KEY + id, JSON.stringify(state)); } catch {}
+  }
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function makePlanner(p) {
+    const wrap = el('div', 'plan');
+    if (!PLANS || PLANS.error) {
+      SiteData.renderError(wrap, I18n.t('plan.error'), PLANS && PLANS.error);
+      return wrap;
+    }
+
+    const state = loadPlanState(p);
+    let plan = null;
+
+    // --- Controls ---
+    const form = el('form', 'plan__form');
+    form.noValidate = true;
+    form.addEventListener('submit', (e) => e.preventDefault());
+
+    function field(labelText, control) {
+      const label = el('label', 'plan__field');
+      label.append(el('span', '', labelText), control);
+      form.appendChild(label);
+      return control;
+    }
+
+    const startInput = field(I18n.t('plan.start'), el('input'));
+    startInput.type = 'date';
+    startInput.name = 'start';
+    startInput.value = state.start;
+
+    const monthsSelect = field(I18n.t('plan.length'), el('select'));
+    monthsSelect.name = 'months';
+    MilestonePlan.MONTHS.forEach(m => {
+      const opt = el('option', '', I18n.t('plan.months', { months: m }));
+      opt.value = String(m);
+      monthsSelect.appendChild(opt);
     });
-  });
+    monthsSelect.value = String(state.months);
 
-  // Reveal #who chat bubbles in sequence the first time they enter the viewport
-document.addEventListener('DOMContentLoaded', () => {
-  const whoSection = document.querySelector('#who');
-  if (!whoSection) return;
+    const timeInput = field(I18n.t('plan.time'), el('input'));
+    timeInput.type = 'time';
+    timeInput.name = 'time';
+    timeInput.value = state.time;
 
-  const bubbles = whoSection.querySelectorAll('.imessages .bubble');
-  if (!bubbles.length) return;
+    wrap.appendChild(form);
 
-  const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    // --- Timeline ---
+    const progress = el('p', 'plan__progress');
+    progress.setAttribute('aria-live', 'polite');
+    const timeline = el('ol', 'plan__timeline');
+    wrap.append(progress, timeline);
 
-  // Hide initially (no layout shift; just opacity/transform)
-  bubbles.forEach(b => b.classList.add('is-hidden'));
+    function updateProgress() {
+      progress.textContent = I18n.t('plan.progress', { done: state.done.length, total: plan.weeks.length });
+      timeline.querySelectorAll('.plan__phase').forEach(li => {
+        const boxes = Array.from(li.querySelectorAll('input[type="checkbox"]'));
+        li.classList.toggle('is-complete', boxes.every(b => b.checked));
+      });
+    }
 
-  const observer = new IntersectionObserver((entries) => {
-    for (const entry of entries) {
-      if (!entry.isIntersecting) continue;
-      if (whoSection.dataset.animated === 'true') break; // run once only
-      whoSection.dataset.animated = 'true';
+    function render() {
+      plan = MilestonePlan.build(PLANS, p.id, state);
+      state.done = state.done.filter(n => n <= plan.weeks.length);
+      const done = new Set(state.done);
+      const today = MilestonePlan.dateKey(new Date());
 
-      if (prefersReduced) {
-        bubbles.forEach(b => b.classList.remove('is-hidden'));
-      } else {
-        bubbles.forEach((b, i) => {
-          setTimeout(() => b.classList.remove('is-hidden'), i * 1200 + 500); // stagger
+      timeline.innerHTML = '';
+      plan.phases.forEach(phase => {
+        const li = el('li', 'plan__phase');
+        li.dataset.phase = phase.id;
+        const head = el('div', 'plan__phase-head');
+        head.append(
+          el('h4', 'plan__phase-name', phase.label),
+          el('span', 'plan__phase-weeks', I18n.t('plan.weeks', { from: phase.from, to: phase.to }))
+        );
+        li.appendChild(head);
+        if (phase.done) li.appendChild(el('p', 'plan__phase-done', I18n.t('plan.doneWhen', { done: phase.done })));
+
+        const weeks = el('ol', 'plan__weeks');
+        plan.weeks.filter(w => w.phase === phase.id).forEach(w => {
+          const item = el('li', 'plan__week');
+          const from = MilestonePlan.dateKey(w.date);
+          const to = MilestonePlan.dateKey(MilestonePlan.addDays(w.date, 7));
+          if (today >= from && today < to) {
+            item.classList.add('is-current');
+            item.setAttribute('aria-current', 'date');
+          }
+          item.classList.toggle('is-done', done.has(w.n));
+
+          const label = el('label');
+          const box = el('input');
+          box.type = 'checkbox';
+          box.value = String(w.n);
+          box.checked = done.has(w.n);
+          label.append(
+            box,
+            el('span', 'plan__when', `${I18n.t('plan.week', { n: w.n })} · ${MilestonePlan.formatDay(w.date)}`),
+            el('span', 'plan__goals', MilestonePlan.goalText(w))
+          );
+          item.appendChild(label);
+          weeks.appendChild(item);
         });
+        li.appendChild(weeks);
+        timeline.appendChild(li);
+      });
+      updateProgress();
+    }
+
+    form.addEventListener('change', () => {
+      if (MilestonePlan.parseDate(startInput.value)) state.start = startInput.value;
+      state.months = Number(monthsSelect.value);
+      if (timeInput.value) state.time = timeInput.value;
+      savePlanState(p.id, state);
+      render();
+    });
+
+    timeline.addEventListener('change', (e) => {
+      const box = e.target;
+      if (box.type !== 'checkbox') return;
+      const n = Number(box.value);
+      state.done = state.done.filter(x => x !== n);
+      if (box.checked) state.done.push(n);
+      state.done.sort((a, b) => a - b);
+      box.closest('.plan__week').classList.toggle('is-done', box.checked);
+      savePlanState(p.id, state);
+      updateProgress();
+    });
+
+    // --- Export ---
+    const actions = el('div', 'plan__actions');
+    const mdBtn = el('button', 'chip chip--link', I18n.t('plan.exportMarkdown'));
+    mdBtn.type = 'button';
+    mdBtn.addEventListener('click', () => {
+      const text = MilestonePlan.toMarkdown(plan, { title: p.name, done: new Set(state.done) });
+      downloadFile(`${p.id}-plan.md`, new Blob([text], { type: 'text/markdown;charset=utf-8' }));
+    });
+    const icsBtn = el('button', 'chip chip--link', I18n.t('plan.exportIcs'));
+    icsBtn.type = 'button';
+    icsBtn.addEventListener('click', () => {
+      const ics = MilestonePlan.toIcs(plan, { title: p.name, time: state.time, minutes: PLANS.checkInMinutes });
+      downloadFile(`${p.id}-check-ins.ics`, Ics.toBlob(ics));
+    });
+    actions.append(mdBtn, icsBtn);
+    wrap.appendChild(actions);
+
+    render();
+    return wrap;
+  }
+
+  function makeNotFound(id) {
+    const box = document.createElement('div');
+    box.className = 'sample-detail__card';
+    const msg = document.createElement('p');
+    msg.className = 'sample-detail__name';
+    msg.tabIndex = -1;
+    msg.textContent = I18n.t('samples.notFound', { id });
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.className = 'chip chip--link sample-detail__back';
+    back.textContent = I18n.t('samples.back');
+    back.addEventListener('click', showList);
+    box.appendChild(back);
+    box.appendChild(msg);
+    return box;
+  }
+
+  function idFromHash() {
+    const raw = location.hash.replace(/^#/, '');
+    try { return decodeURIComponent(raw); } catch { return raw; }
+  }
+
+  // Leave the detail view: step back if we came from the list, otherwise drop the hash in place
+  function showList() {
+    if (openedFromList) {
+      history.back();
+    } else {
+      history.replaceState(history.state, '', location.pathname + location.search);
+      route();
+    }
+  }
+
+  // Render whichever view the current URL hash asks for
+  function route() {
+    if (!detail) return;
+    const id = idFromHash();
+
+    if (!id) {
+      openedFromList = false;
+      detail.hidden = true;
+      detail.innerHTML = '';
+      if (list && list.hidden) {
+        list.hidden = false;
+        if (builtHidden) {
+          // Deep-linked straight into a detail: nothing could be measured yet
+          refreshTrack();
+        } else {
+          scroller.scrollLeft = listScrollLeft; // display:none drops scroll position
+        }
+        const card = track.querySelector(`.sample-card:not([aria-hidden]) .sample-card__link[href="#${CSS.escape(encodeURIComponent(lastId))}"]`);
+        if (card) card.focus({ preventScroll: true });
       }
+      document.title = baseTitle;
+      reportRoute('');
+      return;
+    }
 
-      observer.disconnect();
-      break;
+    const project = PROJECTS.find(p => p.id === id);
+    if (list && !list.hidden) {
+      listScrollLeft = scroller.scrollLeft;
+      list.hidden = true;
     }
-  }, { threshold: 0.35 });
+    detail.innerHTML = '';
+    detail.appendChild(project ? makeDetail(project) : makeNotFound(id));
+    detail.hidden = false;
+    lastId = id;
+    document.title = project ? `${project.name} · ${baseTitle}` : baseTitle;
+    reportRoute(location.hash.slice(1));
+    window.scrollTo(0, 0);
+    const focusTarget = detail.querySelector('.sample-detail__name');
+    if (focusTarget) focusTarget.focus({ preventScroll: true });
+  }
 
-  observer.observe(whoSection);
-});
-// Email chip: single-click/tap copies email; double-click/tap opens default mail app
-// Works for both desktop and touch (mobile). Add CSS for .email-chip.copied if you want a toast.
-document.addEventListener('DOMContentLoaded', () => {
-  const DBL_CLICK_MS = 300;  // desktop double-click window
-  const DBL_TAP_MS   = 320;  // mobile double-tap window
-  const isTouchPrimary = window.matchMedia('(hover: none)').matches;
+  // Inside the index.html overlay, let the host mirror the detail in its own URL and label
+  function reportRoute(sub) {
+    OverlayBridge.toHost('route', { sub, title: document.title });
+  }
 
-  function emailFromHref(href) {
-    return href.replace(/^mailto:/, '').split('?')[0];
+  track.addEventListener('click', (e) => {
+    if (e.target.closest('.sample-card__link')) openedFromList = true;
+  });
+  window.addEventListener('hashchange', route);
+
+  let baseWidth = 0; // width of one sequence of projects (0 when not looping)
+
+  function measureBaseWidth() {
+    // Total scrollWidth divided by number of copies (3)
+    const total = track.scrollWidth;
+    baseWidth = looping ? Math.round(total / 3) : 0;
   }
 
-  async function copyToClipboard(text) {
-    try {
-      await navigator.clipboard.writeText(text);
-    } catch {
-      // Fallback for older browsers
-      const ta = document.createElement('textarea');
-      ta.value = text;
-      ta.setAttribute('readonly', '');
-      ta.style.position = 'fixed';
-      ta.style.top = '-1000px';
-      document.body.appendChild(ta);
-      ta.select();
-      document.execCommand('copy');
-      document.body.removeChild(ta);
+  function centerOnMiddle() {
+    scroller.scrollLeft = baseWidth; // start at the middle copy
+  }
+
+  function onScrollLoop() {
+    if (!looping || !baseWidth) return;
+    const x = scroller.scrollLeft;
+    // If user scrolls past 1.5x width, jump back by one baseWidth; if before 0.5x, jump forward
+    if (x > baseWidth * 1.5) {
+      scroller.scrollLeft = x - baseWidth;
+    } else if (x < baseWidth * 0.5) {
+      scroller.scrollLeft = x + baseWidth;
     }
   }
 
-  document.querySelectorAll('.email-chip[href^="mailto:"]').forEach(chip => {
-    let singleTimer = null;
-    let lastTapTime = 0;
-    const href = chip.getAttribute('href');
-    // On touch-primary devices, neutralize native mailto navigation so single tap won't open Mail
-    const mailtoHref = href;
-    if (isTouchPrimary) {
-      chip.dataset.mailto = href;
-      chip.removeAttribute('href');        // prevent default anchor navigation on tap
-      chip.setAttribute('role', 'button'); // keep accessible semantics
+  // Map vertical trackpad scroll to horizontal to improve desktop UX
+  function onWheel(e) {
+    if (scroller.scrollWidth <= scroller.clientWidth + 1) return; // no overflow
+    if (Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
+      scroller.scrollLeft += e.deltaY;
+      if (e.cancelable) e.preventDefault();
     }
-    const email = emailFromHref(href);
+  }
 
-    // Desktop: single-click copies (delayed), double-click opens mail
-    chip.addEventListener('click', (e) => {
-      // Always block native navigation; we control both desktop & touch behavior
-      e.preventDefault();
-      e.stopPropagation();
-      if (isTouchPrimary) return; // touch handled in pointer events
+  function init() {
+    Promise.all([SiteData.load('projects'), I18n.ready, loadPlans()])
+      .then(([list, , plans]) => {
+        RECORDS = list;
+        PLANS = plans;
+        PROJECTS = RECORDS.map(I18n.localize);
+        start();
+      })
+      .catch(err => {
+        SiteData.renderError(track, I18n.t('samples.error'), err);
+        track.classList.add('has-error');
+        OverlayBridge.toHost('ready', { title: document.title, sub: '' });
+      });
+  }
 
-      if (singleTimer) return; // debounce double-click
-      singleTimer = setTimeout(async () => {
-        await copyToClipboard(email);
-        chip.classList.add('copied');
-        setTimeout(() => chip.classList.remove('copied'), 1000);
-        singleTimer = null;
-      }, DBL_CLICK_MS);
+  // ?edit: cards are editable in place; the card link stops opening the detail view
+  function edit() {
+    ContentEditor.bindRecords(track, {
+      name: 'projects',
+      item: '.sample-card',
+      fields: { '.sample-card__link': 'name', '.sample-card__desc': 'desc' },
+      image: { selector: '.sample-card__img', field: 'img' },
+      template: () => ({
+        id: `project-${Date.now().toString(36)}`,
+        name: 'New project',
+        desc: 'One-sentence description.',
+        img: 'assets/rocket.png',
+        tags: []
+      }),
+      axis: 'x',
+      addAfter: scroller
+    });
+    track.addEventListener('click', (e) => {
+      if (e.target.closest('.sample-card__link')) e.preventDefault();
+    });
+    document.addEventListener('contentchange', () => {
+      SiteData.load('projects')
+        .then(list => {
+          RECORDS = list;
+          PROJECTS = RECORDS.map(I18n.localize);
+          applyFilters();
+        })
+        .catch(err => SiteData.renderError(track, I18n.t('samples.error'), err));
     });
+  }
 
-    chip.addEventListener('dblclick', (e) => {
-      if (isTouchPrimary) return;
-      e.preventDefault();
-      if (singleTimer) { clearTimeout(singleTimer); singleTimer = null; }
-      // Open default mail client
-      window.location.href = mailtoHref;
+  function start() {
+    baseTitle = document.title; // translated by now
+    readFilters();
+    syncFilterControls();
+    bindFilters();
+    applyFilters();
+    route(); // honour deep links such as sample.html#photo-nas
+    if (ContentEditor.active) edit();
+
+    document.addEventListener('localechange', () => {
+      baseTitle = document.title; // <title> was just translated
+      PROJECTS = RECORDS.map(I18n.localize);
+      applyFilters();
+      if (detail && !detail.hidden) route();
+      else reportRoute('');
     });
 
-    // Mobile/tablet: detect double-tap manually on pointerup
-    chip.addEventListener('pointerup', (e) => {
-      if (!isTouchPrimary || (e.pointerType !== 'touch' && e.pointerType !== 'pen')) return;
-      // Prevent synthesized click from firing mailto and stop bubbling
-      e.preventDefault();
-      e.stopPropagation();
-      // Cancel any pending desktop single-click timer just in case
-      if (singleTimer) { clearTimeout(singleTimer); singleTimer = null; }
+    scroller.addEventListener('scroll', onScrollLoop, { passive: true });
+    scroller.addEventListener('wheel', onWheel, { passive: false });
 
-      const now = e.timeStamp;
-      const delta = now - lastTapTime;
-      const isDoubleTap = lastTapTime && delta > 0 && delta <= DBL_TAP_MS;
-      lastTapTime = now;
+    let resizeTimer = null;
+    window.addEventListener('resize', () => {
+      if (looping) {
+        // Keep relative position inside the middle copy
+        const rel = scroller.scrollLeft - baseWidth; // position within middle
+        measureBaseWidth();
+        scroller.scrollLeft = baseWidth + Math.max(0, Math.min(rel, baseWidth));
+      }
+      // Whether one sequence overflows depends on the viewport; re-decide once resizing settles
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        if (list && list.hidden) return;
+        const single = looping ? baseWidth / (visible.length % 2 ? 2 : 1) : track.scrollWidth;
+        const shouldLoop = canLoop && visible.length > 2 && single > track.clientWidth + 1;
+        if (shouldLoop !== looping) refreshTrack();
+      }, 200);
+    });
+  }
 
-      if (isDoubleTap) {
-        // Double-tap: open Mail
-        window.location.href = mailtoHref;
-      } else {
-        // Single-tap: copy + start persistent glow (kept until refresh)
-        copyToClipboard(email).then(() => {
-          chip.classList.add('copied');
-          setTimeout(() => chip.classList.remove('copied'), 1000);
+  init();
+})();
+// ===== Journal store: weekly check-in entries in IndexedDB (journal.html) =====
+// Entry: { id, date: 'YYYY-MM-DD', minutes, done, blockers, next, createdAt, updatedAt }.
+// Nothing leaves the browser; export/import moves entries as a JSON file.
+const JournalStore = (function () {
+  const DB_NAME = 'student-journal';
+  const DB_VERSION = 1;
+  const STORE = 'entries';
+  const FORMAT = 'student-journal';
+  const FORMAT_VERSION = 1;
+  const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error('This browser does not support IndexedDB'));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(STORE)) {
+            db.createObjectStore(STORE, { keyPath: 'id' }).createIndex('date', 'date');
+          }
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => { dbPromise = null; }); // allow a retry
+    }
+    return dbPromise;
+  }
+
+  // Run fn(store) in one transaction; resolves with the last request's result once it commits
+  async function transaction(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  function newId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  // Newest session first; same-day entries by when they were written
+  function byDateDesc(a, b) {
+    return b.date.localeCompare(a.date) || String(b.createdAt).localeCompare(String(a.createdAt));
+  }
+
+  async function all() {
+    const entries = await transaction('readonly', store => store.getAll());
+    return (entries || []).sort(byDateDesc);
+  }
+
+  async function save(fields) {
+    const now = new Date().toISOString();
+    const entry = Object.assign({ id: newId(), createdAt: now }, fields, { updatedAt: now });
+    await transaction('readwrite', store => store.put(entry));
+    return entry;
+  }
+
+  function remove(id) {
+    return transaction('readwrite', store => store.delete(id));
+  }
+
+  // Returns a list of problems (empty when the entry is usable)
+  function validate(e, where = 'entry') {
+    const problems = [];
+    if (!e || typeof e !== 'object') return [`${where} is not an object`];
+    if (typeof e.id !== 'string' || !e.id) problems.push(`${where} is missing "id"`);
+    if (!DATE.test(e.date || '')) problems.push(`${where}: "date" must be YYYY-MM-DD`);
+    if (!(Number.isFinite(e.minutes) && e.minutes >= 0)) problems.push(`${where}: "minutes" must be zero or more`);
+    if (typeof e.done !== 'string' || !e.done.trim()) problems.push(`${where} is missing "done"`);
+    ['blockers', 'next'].forEach(k => {
+      if (e[k] !== undefined && typeof e[k] !== 'string') problems.push(`${where}: "${k}" should be text`);
+    });
+    return problems;
+  }
+
+  function toExport(entries) {
+    return { format: FORMAT, version: FORMAT_VERSION, exportedAt: new Date().toISOString(), entries };
+  }
+
+  // Accepts an export file (or a bare list of entries); entries with a known id are replaced
+  async function importData(data) {
+    const entries = Array.isArray(data) ? data : data && data.format === FORMAT ? data.entries : null;
+    if (!Array.isArray(entries)) throw SiteData.fail('This is not a journal export', ['expected a file saved with "Export JSON"']);
+    const problems = [];
+    entries.forEach((e, i) => problems.push(...validate(e, `entry #${i + 1}`)));
+    if (problems.length) throw SiteData.fail('The journal file is invalid', problems);
+
+    const now = new Date().toISOString();
+    await transaction('readwrite', store => {
+      let last = null;
+      entries.forEach(e => {
+        last = store.put({
+          id: e.id,
+          date: e.date,
+          minutes: Math.round(e.minutes),
+          done: e.done,
+          blockers: e.blockers || '',
+          next: e.next || '',
+          createdAt: e.createdAt || now,
+          updatedAt: e.updatedAt || now
         });
-        chip.classList.add('touch-glow');
-      }
-    }, { passive: false });
-  });
-});
+      });
+      return last;
+    });
+    return entries.length;
+  }
 
-// ---- Overlay loader (testimonial.html & sample.html) ----
-document.addEventListener('DOMContentLoaded', () => {
-  const overlay  = document.getElementById('overlay');
-  if (!overlay) return; // overlay not present on this page
+  return { all, save, remove, validate, toExport, importData };
+})();
+
+// ===== Journal page: entry form, streaks, hours chart, export/import and print =====
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.body.dataset.page !== 'journal') return;
 
-  const panel    = overlay.querySelector('.overlay__panel');
-  const iframe   = overlay.querySelector('.overlay__frame');
-  const closeBtn = overlay.querySelector('.overlay__close');
+  const form      = document.getElementById('journalForm');
+  const listEl    = document.getElementById('journalEntries');
+  const chartEl   = document.getElementById('journalChart');
+  const printEl   = document.getElementById('journalPrint');
+  const emptyEl   = document.querySelector('.journal-list__empty');
+  const formTitle = document.getElementById('journal-form-title');
+  const status    = form && form.querySelector('.journal-form__status');
+  const cancelBtn = document.querySelector('[data-journal="cancel"]');
+  const exportBtn = document.querySelector('[data-journal="export"]');
+  const printBtn  = document.querySelector('[data-journal="print"]');
+  const importInput = document.querySelector('.journal-tools input[type="file"]');
+  if (!form || !listEl) return;
 
-  let lastFocused = null;
+  const CHART_WEEKS = 12;
+  let entries = [];
 
-  // WebKit detection: Safari on macOS/iOS and iOS Chrome/Firefox use WebKit
-  const isWebKit = /AppleWebKit/i.test(navigator.userAgent) && !/Edg/i.test(navigator.userAgent);
-  if (isWebKit) overlay.classList.add('no-blur');
+  // --- Dates: weeks run Monday to Sunday, keyed by their Monday ('YYYY-MM-DD') ---
+  const pad = (n) => String(n).padStart(2, '0');
+  const keyOf = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  const parse = (key) => {
+    const [y, m, d] = key.split('-').map(Number);
+    return new Date(y, m - 1, d);
+  };
+  const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+  const weekOf = (d) => addDays(d, -((d.getDay() + 6) % 7));
 
-  function isOverlayLink(a) {
-    if (!a || a.tagName !== 'A') return false;
-    if (a.hasAttribute('data-overlay')) return true;
-    const href = (a.getAttribute('href') || '').replace(/^\.\//, '').toLowerCase();
-    return href === 'testimonial.html' || href === 'sample.html';
+  function formatDate(key, opts = { dateStyle: 'medium' }) {
+    return new Intl.DateTimeFormat(I18n.locale, opts).format(parse(key));
   }
 
-  function labelForUrl(url) {
-    const u = (url || '').toLowerCase();
-    if (u.includes('testimonial')) return 'Testimonials';
-    if (u.includes('sample')) return 'Samples';
-    return 'Overlay';
+  function formatHours(minutes) {
+    const hours = Math.round(minutes / 60 * 100) / 100;
+    return new Intl.NumberFormat(I18n.locale, { maximumFractionDigits: 2 }).format(hours);
   }
 
-  function hashForUrl(url) {
-    const u = (url || '').toLowerCase();
-    if (u.includes('testimonial')) return '#testimonials';
-    if (u.includes('sample')) return '#samples';
-    return '#overlay';
+  // --- Stats ---
+  function minutesByWeek() {
+    const weeks = {};
+    entries.forEach(e => {
+      const key = keyOf(weekOf(parse(e.date)));
+      weeks[key] = (weeks[key] || 0) + e.minutes;
+    });
+    return weeks;
   }
 
-  function lockScroll(lock) {
-    document.documentElement.style.overflow = lock ? 'hidden' : '';
-    document.body.style.overflow = lock ? 'hidden' : '';
-  }
+  // Streaks count consecutive weeks with at least one entry. The current streak stays alive
+  // through the present week, so it only breaks once a whole week passes without a check-in.
+  function streaks(weeks) {
+    const keys = Object.keys(weeks).sort();
+    let longest = 0;
+    let run = 0;
+    keys.forEach((key, i) => {
+      run = i && keyOf(addDays(parse(keys[i - 1]), 7)) === key ? run + 1 : 1;
+      longest = Math.max(longest, run);
+    });
 
-  function openOverlay(url) {
-    lastFocused = document.activeElement;
-    const label = labelForUrl(url);
-    if (panel) panel.setAttribute('aria-label', label);
-    if (iframe) {
-      iframe.setAttribute('title', label);
-      iframe.src = url; // set before opening to avoid paint flash
-      // Force layer promotion for safety
-      iframe.style.transform = 'translateZ(0)';
+    let cursor = weekOf(new Date());
+    if (!weeks[keyOf(cursor)]) cursor = addDays(cursor, -7);
+    let current = 0;
+    while (weeks[keyOf(cursor)]) {
+      current++;
+      cursor = addDays(cursor, -7);
     }
-    lockScroll(true);
-    overlay.classList.add('is-open');
-    overlay.setAttribute('aria-hidden', 'false');
-    setTimeout(() => { try { closeBtn && closeBtn.focus(); } catch {} }, 0);
-    try { history.pushState({ overlay: label }, '', hashForUrl(url)); } catch {}
+    return { current, longest };
   }
 
-  function closeOverlay() {
-    if (!overlay.classList.contains('is-open')) return;
-    overlay.classList.remove('is-open');
-    overlay.setAttribute('aria-hidden', 'true');
-    // Clear iframe after the transition to stop media and free resources
-    setTimeout(() => { if (iframe) iframe.src = 'about:blank'; }, 280);
-    lockScroll(false);
-    if (lastFocused && typeof lastFocused.focus === 'function') {
-      setTimeout(() => lastFocused.focus(), 0);
-    }
-    if (location.hash === '#testimonials' || location.hash === '#samples' || location.hash === '#overlay') {
-      try { history.back(); } catch {}
-    }
+  function renderStats(weeks) {
+    const { current, longest } = streaks(weeks);
+    const total = entries.reduce((sum, e) => sum + e.minutes, 0);
+    const set = (name, value) => {
+      const dd = document.querySelector(`[data-stat="${name}"]`);
+      if (dd) dd.textContent = value;
+    };
+    set('streak', I18n.t('journal.weeks', { n: current }));
+    set('longest', I18n.t('journal.weeks', { n: longest }));
+    set('hours', formatHours(total));
+    set('entries', String(entries.length));
   }
 
-  // Intercept clicks on overlay-trigger links anywhere in the document
-  document.addEventListener('click', (e) => {
-    const a = e.target.closest('a');
-    if (!isOverlayLink(a)) return;
-    if (e.metaKey || e.ctrlKey) return; // allow new-tab/window
-    e.preventDefault();
-    e.stopPropagation();
-    openOverlay(a.getAttribute('href'));
-  });
+  // Bar chart of the last CHART_WEEKS weeks as inline SVG (no libraries, works offline)
+  function renderChart(weeks) {
+    if (!chartEl) return;
+    const W = 360;
+    const H = 150;
+    const top = 14;
+    const bottom = 22;
+    const slot = W / CHART_WEEKS;
+    const start = addDays(weekOf(new Date()), -7 * (CHART_WEEKS - 1));
+    const data = Array.from({ length: CHART_WEEKS }, (_, i) => {
+      const key = keyOf(addDays(start, 7 * i));
+      return { key, hours: (weeks[key] || 0) / 60 };
+    });
+    const max = Math.max(1, Math.ceil(Math.max(...data.map(d => d.hours))));
+    const scale = (H - top - bottom) / max;
 
-  // Close interactions
-  closeBtn && closeBtn.addEventListener('click', (e) => { e.preventDefault(); closeOverlay(); });
-  overlay.addEventListener('click', (e) => {
-    // Click outside the panel closes
-    if (e.target === overlay) closeOverlay();
-  });
-  document.addEventListener('keydown', (e) => { if (e.key === 'Escape') closeOverlay(); });
+    const NS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${W} ${H}`);
+    svg.setAttribute('class', 'journal-chart__svg');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', data
+      .map(d => `${formatDate(d.key, { month: 'short', day: 'numeric' })}: ${I18n.t('journal.hoursShort', { hours: formatHours(d.hours * 60) })}`)
+      .join(', '));
 
-  // Close on browser back
-  window.addEventListener('popstate', () => {
-    if (overlay.classList.contains('is-open')) closeOverlay();
-  });
-});
+    const base = document.createElementNS(NS, 'line');
+    base.setAttribute('class', 'journal-chart__axis');
+    base.setAttribute('x1', 0);
+    base.setAttribute('x2', W);
+    base.setAttribute('y1', H - bottom);
+    base.setAttribute('y2', H - bottom);
+    svg.appendChild(base);
 
-// =======================
-// Testimonials page logic
-// =======================
-document.addEventListener('DOMContentLoaded', () => {
-  if (document.body.dataset.page !== 'testimonials') return;
+    data.forEach((d, i) => {
+      const h = d.hours * scale;
+      const x = i * slot + slot * 0.2;
+      const bar = document.createElementNS(NS, 'rect');
+      bar.setAttribute('class', i === CHART_WEEKS - 1 ? 'journal-chart__bar is-current' : 'journal-chart__bar');
+      bar.setAttribute('x', x.toFixed(1));
+      bar.setAttribute('y', (H - bottom - h).toFixed(1));
+      bar.setAttribute('width', (slot * 0.6).toFixed(1));
+      bar.setAttribute('height', h.toFixed(1));
+      bar.setAttribute('rx', 3);
+      svg.appendChild(bar);
 
-  const stream = document.getElementById('t-stream');
-  if (!stream) return;
-
-  // Sample dataset — edit/expand with real quotes
-  const testimonials = [
-    {
-  
-      semester: "Spring '25",
-      color: 'blue',
-      side: 'left',
-      avatar: 'assets/test1.png',   // ← add this
-      text: `I really like how he always has great examples that make even the toughest concepts easy to get. And he’s great at asking just the right questions to guide you to the answer step by step.`
-    },
-    {
-      semester: "Spring '25",
-      color: 'emerald',
-      side: 'right',
-      avatar: 'assets/test2.png',  
-      text: `Ice is very aware when students are struggling, and he helps out a lot for people who are in tough situations.`
-    },
-    {
-      semester: "Fall '24",
-      color: 'violet',
-      side: 'left',
-      avatar: 'assets/test3.png', 
-      text: `Very friendly and always welcoming for questions.`
-    },
-    {
-      semester: "Spring '25",
-      color: 'yellow',
-      side: 'right',
-      avatar: 'assets/test4.png', 
-      text: `..The explanations were very clear, and I was able to clarify the things that I did not fully understand from lecture during Ice's discussion.`
-    },
-    {
-      semester: "Fall '24",
-      color: 'rose',
-      side: 'left',
-      avatar: 'assets/test5.png', 
-      text: `..super engaging discussion sections and always well prepared to answer any questions..`
-    },
-    {
-      semester: "Spring '24",
-      color: 'blue',
-      side: 'right',
-      avatar: 'assets/test6.png', 
-      text: `Ice is great at teaching. He's the reason I won't fail this class :)`
-    },
-    {
-      semester: "Spring '24",
-      color: 'brown',
-      side: 'left',
-      avatar: 'assets/test7.png', 
-      text: `He knows the subject well and is helpful during and after discussions. Great lecturing and really helpful during office hours.`
-    },
-    {
-      semester: "Fall '24",
-      color: 'black',
-      side: 'right',
-      avatar: 'assets/test8.png', 
-      text: `..Always a packed class because he was the best at articularing and summarizing the content that was applicable..`
-    }
+      if (d.hours) {
+        const value = document.createElementNS(NS, 'text');
+        value.setAttribute('class', 'journal-chart__value');
+        value.setAttribute('x', (i * slot + slot / 2).toFixed(1));
+        value.setAttribute('y', (H - bottom - h - 3).toFixed(1));
+        value.textContent = formatHours(d.hours * 60);
+        svg.appendChild(value);
+      }
+      if (i % 2 === CHART_WEEKS % 2 || i === CHART_WEEKS - 1) {
+        const label = document.createElementNS(NS, 'text');
+        label.setAttribute('class', 'journal-chart__label');
+        label.setAttribute('x', (i * slot + slot / 2).toFixed(1));
+        label.setAttribute('y', H - 6);
+        label.textContent = formatDate(d.key, { month: 'numeric', day: 'numeric' });
+        svg.appendChild(label);
+      }
+    });
 
-  ];
+    chartEl.innerHTML = '';
+    chartEl.appendChild(svg);
+  }
 
-  function el(tag, cls, text) {
-    const n = document.createElement(tag);
-    if (cls) n.className = cls;
-    if (text) n.textContent = text;
-    return n;
+  // --- Entries ---
+  function block(title, text) {
+    const wrap = document.createElement('div');
+    wrap.className = 'journal-item__block';
+    const h = document.createElement('h4');
+    h.textContent = title;
+    const p = document.createElement('p');
+    p.textContent = text;
+    wrap.append(h, p);
+    return wrap;
   }
 
-  function makeItem(t) {
-    const item = el('article', `t-item t-${t.side || 'left'} t-reveal`);
-  
-    const avatar = el('div', 't-avatar');
-avatar.dataset.color = t.color || 'blue';
-
-if (t.avatar) {
-  const img = document.createElement('img');
-  img.className = 't-avatar-img';
-  img.src = t.avatar;
-  img.alt = 'Student avatar';
-  img.loading = 'lazy';
-  img.decoding = 'async';
-  // Fallback: if image fails, remove it so the colored circle shows
-  img.addEventListener('error', () => img.remove(), { once: true });
-  avatar.appendChild(img);
-} else {
-  avatar.textContent = ''; // anonymous, color-only avatar
-}
-  
-    const bubble = el('div', 't-bubble');
-  
-    const text = el('div');
-    // Preserve line breaks in testimonial text
-    (t.text || '').split('\n').forEach((line, i, arr) => {
-      text.appendChild(document.createTextNode(line));
-      if (i < arr.length - 1) text.appendChild(document.createElement('br'));
+  function renderList() {
+    listEl.innerHTML = '';
+    if (emptyEl) emptyEl.hidden = entries.length > 0;
+    entries.forEach(e => {
+      const li = document.createElement('li');
+      li.className = 'journal-item';
+      li.dataset.id = e.id;
+
+      const head = document.createElement('div');
+      head.className = 'journal-item__head';
+      const date = document.createElement('h3');
+      date.className = 'journal-item__date';
+      date.textContent = formatDate(e.date, { dateStyle: 'full' });
+      const time = document.createElement('span');
+      time.className = 'chip';
+      time.textContent = I18n.t('journal.hoursShort', { hours: formatHours(e.minutes) });
+      head.append(date, time);
+      li.appendChild(head);
+
+      li.appendChild(block(I18n.t('journal.form.done'), e.done));
+      if (e.blockers) li.appendChild(block(I18n.t('journal.form.blockers'), e.blockers));
+      if (e.next) li.appendChild(block(I18n.t('journal.form.next'), e.next));
+
+      const actions = document.createElement('div');
+      actions.className = 'journal-item__actions';
+      [['edit', 'journal.edit'], ['delete', 'journal.delete']].forEach(([action, key]) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'journal-item__action';
+        btn.dataset.action = action;
+        btn.textContent = I18n.t(key);
+        btn.setAttribute('aria-label', I18n.t(`${key}Label`, { date: formatDate(e.date) }));
+        actions.appendChild(btn);
+      });
+      li.appendChild(actions);
+      listEl.appendChild(li);
     });
-  
-    const semester = el('div', 't-semester', t.semester || '');
-  
-    bubble.appendChild(text);
-    if (t.semester) bubble.appendChild(semester);
-  
-    item.appendChild(avatar);
-    item.appendChild(bubble);
-    return item;
   }
 
-  // Render
-  testimonials.forEach(t => stream.appendChild(makeItem(t)));
+  // Chronological summary for the final write-up, shown only in print
+  function renderPrint(weeks) {
+    if (!printEl) return;
+    printEl.innerHTML = '';
+    const h = document.createElement('h2');
+    h.textContent = I18n.t('journal.printTitle');
+    printEl.appendChild(h);
+    if (!entries.length) return;
 
-  // Reveal on scroll (staggered: one at a time, top→bottom, each delayed 1000ms)
-  const REVEAL_DELAY_MS = 700;
-  const items = Array.from(stream.querySelectorAll('.t-reveal'));
-  const inView = new Array(items.length).fill(false);
-  let nextIdx = 0;        // next item index to reveal (DOM order)
-  let busyIdx = -1;       // index currently scheduled (or -1 if none)
-  let timerId = null;     // pending timer for the scheduled reveal
+    const oldest = entries[entries.length - 1].date;
+    const newest = entries[0].date;
+    const { longest } = streaks(weeks);
+    const meta = document.createElement('p');
+    meta.textContent = I18n.t('journal.printMeta', {
+      from: formatDate(oldest, { dateStyle: 'long' }),
+      to: formatDate(newest, { dateStyle: 'long' }),
+      entries: entries.length,
+      hours: formatHours(entries.reduce((s, e) => s + e.minutes, 0)),
+      weeks: Object.keys(weeks).length,
+      longest
+    });
+    printEl.appendChild(meta);
 
-  function clearTimer() {
-    if (timerId) { clearTimeout(timerId); timerId = null; }
+    const table = document.createElement('table');
+    const head = document.createElement('tr');
+    ['journal.form.date', 'journal.form.hours', 'journal.form.done', 'journal.form.blockers', 'journal.form.next'].forEach(key => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = I18n.t(key);
+      head.appendChild(th);
+    });
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    const tbody = document.createElement('tbody');
+    entries.slice().reverse().forEach(e => {
+      const tr = document.createElement('tr');
+      [formatDate(e.date), formatHours(e.minutes), e.done, e.blockers || '—', e.next || '—'].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
+      tbody.appendChild(tr);
+    });
+    table.append(thead, tbody);
+    printEl.appendChild(table);
   }
 
-  function schedule(i) {
-    busyIdx = i;
-    timerId = setTimeout(() => {
-      items[i].classList.add('is-in'); // trigger CSS transition
-      io.unobserve(items[i]);          // no longer need to observe
-      busyIdx = -1;
-      timerId = null;
-      nextIdx = i + 1;                 // move to the next item in DOM order
-      tryRevealQueue();
-    }, REVEAL_DELAY_MS);
+  function render() {
+    const weeks = minutesByWeek();
+    renderStats(weeks);
+    renderChart(weeks);
+    renderList();
+    renderPrint(weeks);
   }
 
-  function tryRevealQueue() {
-    // Skip over any already-revealed items
-    while (nextIdx < items.length && items[nextIdx].classList.contains('is-in')) {
-      nextIdx++;
-    }
-    if (busyIdx !== -1) return;               // already scheduling one
-    if (nextIdx >= items.length) return;      // done
-    if (inView[nextIdx]) schedule(nextIdx);   // only schedule when the next item is in view
+  function refresh() {
+    return JournalStore.all()
+      .then(list => { entries = list; render(); })
+      .catch(err => SiteData.renderError(listEl, I18n.t('journal.error'), err));
   }
 
-  const io = new IntersectionObserver((entries) => {
-    entries.forEach(en => {
-      const idx = items.indexOf(en.target);
-      if (idx === -1) return;
-      inView[idx] = en.isIntersecting;
-
-      // If the currently scheduled item leaves view, cancel its timer
-      if (!en.isIntersecting && idx === busyIdx) {
-        clearTimer();
-        busyIdx = -1;
-      }
-    });
-    tryRevealQueue();
-  }, { root: null, rootMargin: '0px 0px -10% 0px', threshold: 0.05 });
+  // --- Form ---
+  function say(message) {
+    if (status) status.textContent = message;
+  }
 
-  items.forEach(n => io.observe(n));
-});
+  function resetForm() {
+    form.reset();
+    form.elements.id.value = '';
+    form.elements.date.value = keyOf(new Date());
+    form.querySelectorAll('[aria-invalid]').forEach(el => el.removeAttribute('aria-invalid'));
+    if (cancelBtn) cancelBtn.hidden = true;
+    if (formTitle) formTitle.textContent = I18n.t('journal.form.new');
+  }
 
-// ===== Mobile help-grid: WebKit drag-to-scroll fallback =====
-(function () {
-  const grid = document.querySelector('.help-grid');
-  if (!grid) return;
+  function startEdit(entry) {
+    form.elements.id.value = entry.id;
+    form.elements.date.value = entry.date;
+    form.elements.hours.value = String(Math.round(entry.minutes / 60 * 100) / 100);
+    form.elements.done.value = entry.done;
+    form.elements.blockers.value = entry.blockers || '';
+    form.elements.next.value = entry.next || '';
+    if (cancelBtn) cancelBtn.hidden = false;
+    if (formTitle) formTitle.textContent = I18n.t('journal.form.edit', { date: formatDate(entry.date) });
+    form.scrollIntoView({ block: 'start' });
+    form.elements.done.focus({ preventScroll: true });
+  }
 
-  const isWebKit = /AppleWebKit/i.test(navigator.userAgent) && !/Edg/i.test(navigator.userAgent);
-  const isSmall  = window.matchMedia('(max-width: 900px)').matches;
-  if (!(isWebKit && isSmall)) return;
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const f = form.elements;
+    const hours = Number(f.hours.value);
+    const invalid = [
+      [f.date, !/^\d{4}-\d{2}-\d{2}$/.test(f.date.value)],
+      [f.hours, f.hours.value === '' || !(hours >= 0 && hours <= 80)],
+      [f.done, !f.done.value.trim()]
+    ].filter(([el, bad]) => {
+      if (bad) el.setAttribute('aria-invalid', 'true');
+      else el.removeAttribute('aria-invalid');
+      return bad;
+    });
+    if (invalid.length) {
+      invalid[0][0].focus();
+      say(I18n.t('journal.status.invalid'));
+      return;
+    }
 
-  let isDown = false;
-  let startX = 0;
-  let startY = 0;
-  let startScroll = 0;
+    const existing = entries.find(x => x.id === f.id.value);
+    JournalStore.save(Object.assign({}, existing, {
+      date: f.date.value,
+      minutes: Math.round(hours * 60),
+      done: f.done.value.trim(),
+      blockers: f.blockers.value.trim(),
+      next: f.next.value.trim()
+    }))
+      .then(() => {
+        say(I18n.t(existing ? 'journal.status.updated' : 'journal.status.saved'));
+        resetForm();
+        return refresh();
+      })
+      .catch(err => say(I18n.t('journal.status.failed', { error: err.message || String(err) })));
+  });
 
-  function onDown(e) {
-    const p = e.touches ? e.touches[0] : e;
-    isDown = true;
-    startX = p.pageX;
-    startY = p.pageY;
-    startScroll = grid.scrollLeft;
-    grid.classList.add('is-dragging');
-  }
+  cancelBtn && cancelBtn.addEventListener('click', () => {
+    resetForm();
+    say('');
+  });
 
-  function onMove(e) {
-    if (!isDown) return;
-    const p = e.touches ? e.touches[0] : e;
-    const dx = p.pageX - startX;
-    const dy = Math.abs(p.pageY - startY);
-    if (e.cancelable && Math.abs(dx) > dy) e.preventDefault(); // assert horizontal intent
-    grid.scrollLeft = startScroll - dx;
-  }
+  listEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.journal-item__action');
+    if (!btn) return;
+    const entry = entries.find(x => x.id === btn.closest('.journal-item').dataset.id);
+    if (!entry) return;
+    if (btn.dataset.action === 'edit') {
+      startEdit(entry);
+      return;
+    }
+    if (!window.confirm(I18n.t('journal.confirmDelete', { date: formatDate(entry.date) }))) return;
+    JournalStore.remove(entry.id)
+      .then(() => {
+        if (form.elements.id.value === entry.id) resetForm();
+        say(I18n.t('journal.status.deleted'));
+        return refresh();
+      })
+      .catch(err => say(I18n.t('journal.status.failed', { error: err.message || String(err) })));
+  });
 
-  function onUp() {
-    isDown = false;
-    grid.classList.remove('is-dragging');
-  }
+  // --- Backup, sharing and print ---
+  exportBtn && exportBtn.addEventListener('click', () => {
+    const json = JSON.stringify(JournalStore.toExport(entries.slice().reverse()), null, 2);
+    downloadFile(`journal-${keyOf(new Date())}.json`, new Blob([json], { type: 'application/json' }));
+    say(I18n.t('journal.status.exported', { n: entries.length }));
+  });
 
-  // Mouse support (desktop Safari small windows)
-  grid.addEventListener('mousedown', onDown);
-  grid.addEventListener('mousemove', onMove);
-  grid.addEventListener('mouseleave', onUp);
-  grid.addEventListener('mouseup', onUp);
+  importInput && importInput.addEventListener('change', () => {
+    const file = importInput.files && importInput.files[0];
+    if (!file) return;
+    file.text()
+      .then(text => {
+        let data;
+        try { data = JSON.parse(text); } catch (e) { throw SiteData.fail('The journal file is not valid JSON', [e.message]); }
+        return JournalStore.importData(data);
+      })
+      .then(n => {
+        say(I18n.t('journal.status.imported', { n }));
+        return refresh();
+      })
+      .catch(err => {
+        const detail = (err.problems || []).slice(0, 3).join('; ');
+        say(I18n.t('journal.status.importFailed', { error: detail ? `${err.message}: ${detail}` : err.message }));
+      })
+      .finally(() => { importInput.value = ''; }); // allow picking the same file again
+  });
 
-  // Touch support (iOS Safari/Chrome)
-  grid.addEventListener('touchstart', onDown, { passive: true });
-  grid.addEventListener('touchmove', onMove, { passive: false });
-  grid.addEventListener('touchend', onUp);
-})();
+  printBtn && printBtn.addEventListener('click', () => window.print());
 
-// ===== Samples page: render 2-row horizontal circular scroller =====
-(function () {
-  const page = document.body && document.body.getAttribute('data-page');
-  if (page !== 'samples') return;
+  document.addEventListener('localechange', () => {
+    const editing = entries.find(x => x.id === form.elements.id.value);
+    if (formTitle) {
+      formTitle.textContent = editing
+        ? I18n.t('journal.form.edit', { date: formatDate(editing.date) })
+        : I18n.t('journal.form.new');
+    }
+    render();
+    OverlayBridge.toHost('title', { title: document.title });
+  });
 
-  const scroller = document.getElementById('samplesScroller');
-  const track    = document.getElementById('samplesTrack');
-  if (!scroller || !track) return;
+  resetForm();
+  I18n.ready
+    .then(refresh)
+    .finally(() => OverlayBridge.toHost('ready', { title: document.title }));
+});
 
-  // TODO: Replace placeholder images with real assets when ready
-  const PROJECTS = [
-    { id: 'photo-nas',      name: 'NAS on a Home Server',                       desc: 'Drag-and-drop cloud storage with shareable links for your photography.',           img: 'assets/nas.png' },
-    { id: 'habit-tracker',  name: 'Custom Flashcard Web App',                   desc: 'Flashcard system to identify your weak areas and reinforce them.',                       img: 'assets/flashcard.png' },
-    { id: 'finance-import', name: 'Personal Finance Analytics',                 desc: 'Collecting, analyzing, and visualizing your spending.',                           img: 'assets/finance.png' },
-    { id: 'tactile-viz',    name: 'Nutrition Analyzer',                         desc: 'Database-backed app to input meals, analyze nutrients, and show patterns.',                         img: 'assets/nutrition.png' },
-    { id: 'bpa-mesher',     name: 'Hide-and-seek game',                         desc: 'Interactive Point Cloud to Mesh Surface Reconstruction PvP game.',                  img: 'assets/BPA.png' },
-    { id: 'cv-plant',       name: 'Interactive Coral Restoration Tracker',      desc: 'Visualizing coral planting sites and growth updates using Google Earth.',   img: 'assets/coral.png' },
-    { id: 'resource-finder',     name: 'Local Resource Finder',                 desc: 'Helping people find nearby food banks, recycling centers, or mutual aid groups.',                  img: 'assets/map.png' },
-    { id: 'cv-plant',       name: 'Music Mood Classifier',                      desc: 'Classifying music files into mood categories based on tempo and key using ML.',   img: 'assets/music.png' }
-  ];
+// ===== Resume viewer (resume.html, the #resume overlay route) =====
+// Drives the browser's own PDF viewer through open parameters (#page=, #zoom=), so no PDF library is
+// needed; the page count comes from the file's page tree when it can be read. Where PDFs can't be shown
+// inline, the <object>'s download fallback takes its place. The page is the sub-route: #resume/2.
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.body.dataset.page !== 'resume') return;
 
-  function makeCard(p) {
-    const card = document.createElement('article');
-    card.className = 'sample-card';
-    card.setAttribute('data-id', p.id);
+  const root = document.getElementById('resumeViewer');
+  const viewer = root && root.querySelector('.resume__frame');
+  if (!viewer) return;
 
-    const img = document.createElement('img');
-    img.className = 'sample-card__img';
-    img.alt = p.name;
-    img.loading = 'lazy';
-    img.decoding = 'async';
-    img.src = p.img;
+  const PDF = root.dataset.pdf;
+  const ZOOMS = [50, 75, 100, 125, 150, 200]; // percent; null fits the page width
+  const tools = root.querySelector('.resume__tools');
+  const pageStatus = root.querySelector('[data-resume="page"]');
+  const button = (name) => root.querySelector(`[data-resume="${name}"]`);
+  const prevBtn = button('prev');
+  const nextBtn = button('next');
+  const zoomOutBtn = button('zoom-out');
+  const zoomInBtn = button('zoom-in');
+  const fitBtn = button('fit');
+  const printBtn = button('print');
 
-    const body = document.createElement('div');
-    body.className = 'sample-card__body';
+  let frame = viewer;
+  let page = pageFromHash();
+  let pages = null; // null until read from the file (or when it can't be)
+  let zoom = null;
 
-    const name = document.createElement('h3');
-    name.className = 'sample-card__name';
-    name.textContent = p.name;
+  function pageFromHash() {
+    const n = parseInt(location.hash.replace(/^#/, ''), 10);
+    return n > 0 ? n : 1;
+  }
 
-    const desc = document.createElement('p');
-    desc.className = 'sample-card__desc';
-    desc.textContent = p.desc;
+  // false on most phones; older browsers without the flag: look for a PDF handler
+  function canShowInline() {
+    if (typeof navigator.pdfViewerEnabled === 'boolean') return navigator.pdfViewerEnabled;
+    return !!(navigator.mimeTypes && navigator.mimeTypes['application/pdf']);
+  }
 
-    body.appendChild(name);
-    body.appendChild(desc);
-    card.appendChild(img);
-    card.appendChild(body);
-    return card;
+  if (!canShowInline()) {
+    viewer.replaceWith(viewer.querySelector('.resume__fallback'));
+    I18n.ready.finally(() => OverlayBridge.toHost('ready', { title: document.title, sub: '' }));
+    return;
   }
 
-  function renderCards(list) {
-    const frag = document.createDocumentFragment();
-    list.forEach(p => frag.appendChild(makeCard(p)));
-    return frag;
+  // Total pages from the page tree's /Count; works for the uncompressed files most exporters write
+  function countPages(text) {
+    let count = 0;
+    text.split(/\bendobj\b/).forEach(obj => {
+      if (!/\/Type\s*\/Pages\b/.test(obj)) return;
+      const m = /\/Count\s+(\d+)/.exec(obj);
+      if (m) count = Math.max(count, Number(m[1]));
+    });
+    return count || null;
   }
 
-  // Build 3 copies for seamless circular scroll
-  function buildTrack() {
-    track.innerHTML = '';
-    track.appendChild(renderCards(PROJECTS));
-    track.appendChild(renderCards(PROJECTS));
-    track.appendChild(renderCards(PROJECTS));
+  // The viewer reads open parameters only when it loads, so each change gets a fresh <object>
+  function load() {
+    const params = [`page=${page}`];
+    if (zoom) params.push(`zoom=${zoom}`);
+    const next = frame.cloneNode(true);
+    next.setAttribute('data', `${PDF}#${params.join('&')}`);
+    frame.replaceWith(next);
+    frame = next;
   }
 
-  let baseWidth = 0; // width of one sequence of projects
+  function update() {
+    prevBtn.disabled = page <= 1;
+    nextBtn.disabled = pages !== null && page >= pages;
+    pageStatus.textContent = pages
+      ? I18n.t('resume.pageOf', { page, pages })
+      : I18n.t('resume.page', { page });
+    zoomOutBtn.disabled = zoom !== null && zoom <= ZOOMS[0];
+    zoomInBtn.disabled = zoom !== null && zoom >= ZOOMS[ZOOMS.length - 1];
+    fitBtn.textContent = zoom ? `${zoom}%` : I18n.t('resume.fitLabel');
+    fitBtn.disabled = zoom === null;
+  }
 
-  function measureBaseWidth() {
-    // Total scrollWidth divided by number of copies (3)
-    const total = track.scrollWidth;
-    baseWidth = Math.round(total / 3);
+  // Mirror the page in the URL (and the host's #resume/<page>) so it survives reloads and sharing
+  function report() {
+    const sub = page > 1 ? String(page) : '';
+    try { history.replaceState(history.state, '', location.pathname + location.search + (sub ? `#${sub}` : '')); } catch {}
+    OverlayBridge.toHost('route', { sub, title: document.title });
   }
 
-  function centerOnMiddle() {
-    scroller.scrollLeft = baseWidth; // start at the middle copy
+  function goTo(n) {
+    const next = Math.max(1, pages ? Math.min(n, pages) : n);
+    if (next === page) return;
+    page = next;
+    load();
+    update();
+    report();
   }
 
-  function onScrollLoop() {
-    const x = scroller.scrollLeft;
-    // If user scrolls past 1.5x width, jump back by one baseWidth; if before 0.5x, jump forward
-    if (x > baseWidth * 1.5) {
-      scroller.scrollLeft = x - baseWidth;
-    } else if (x < baseWidth * 0.5) {
-      scroller.scrollLeft = x + baseWidth;
-    }
+  // From "fit", zooming starts from 100%
+  function zoomBy(step) {
+    const i = ZOOMS.indexOf(zoom === null ? 100 : zoom);
+    zoom = ZOOMS[Math.max(0, Math.min(ZOOMS.length - 1, i + step))];
+    load();
+    update();
   }
 
-  // Map vertical trackpad scroll to horizontal to improve desktop UX
-  function onWheel(e) {
-    if (scroller.scrollWidth <= scroller.clientWidth + 1) return; // no overflow
-    if (Math.abs(e.deltaY) > Math.abs(e.deltaX)) {
-      scroller.scrollLeft += e.deltaY;
-      if (e.cancelable) e.preventDefault();
-    }
+  // Print the PDF itself rather than this page, from a hidden same-origin frame; a new tab if refused
+  function print() {
+    const old = document.querySelector('.resume__print-frame');
+    if (old) old.remove();
+    const printFrame = document.createElement('iframe');
+    printFrame.className = 'resume__print-frame';
+    printFrame.setAttribute('aria-hidden', 'true');
+    printFrame.tabIndex = -1;
+    printFrame.addEventListener('load', () => {
+      try {
+        printFrame.contentWindow.focus();
+        printFrame.contentWindow.print();
+      } catch {
+        window.open(PDF, '_blank', 'noopener');
+      }
+    }, { once: true });
+    printFrame.src = PDF;
+    document.body.appendChild(printFrame);
   }
 
-  function init() {
-    buildTrack();
+  prevBtn.addEventListener('click', () => goTo(page - 1));
+  nextBtn.addEventListener('click', () => goTo(page + 1));
+  zoomOutBtn.addEventListener('click', () => zoomBy(-1));
+  zoomInBtn.addEventListener('click', () => zoomBy(1));
+  fitBtn.addEventListener('click', () => {
+    zoom = null;
+    load();
+    update();
+  });
+  printBtn.addEventListener('click', print);
 
-    // After images load, measure precisely
-    const imgs = Array.from(track.querySelectorAll('img'));
-    let pending = imgs.length;
-    function done() {
-      measureBaseWidth();
-      centerOnMiddle();
-    }
-    if (!pending) { done(); }
-    imgs.forEach(img => {
-      if (img.complete) { if (--pending === 0) done(); }
-      else img.addEventListener('load', () => { if (--pending === 0) done(); });
-      img.addEventListener('error', () => { if (--pending === 0) done(); });
-    });
+  // The host retargets the frame (#resume/3) with a hash-only navigation
+  window.addEventListener('hashchange', () => {
+    const next = pageFromHash();
+    if (next === page) return;
+    page = pages ? Math.min(next, pages) : next;
+    load();
+    update();
+  });
 
-    scroller.addEventListener('scroll', onScrollLoop, { passive: true });
-    scroller.addEventListener('wheel', onWheel, { passive: false });
+  document.addEventListener('localechange', () => {
+    update();
+    OverlayBridge.toHost('title', { title: document.title });
+  });
 
-    window.addEventListener('resize', () => {
-      // Keep relative position inside the middle copy
-      const rel = scroller.scrollLeft - baseWidth; // position within middle
-      measureBaseWidth();
-      scroller.scrollLeft = baseWidth + Math.max(0, Math.min(rel, baseWidth));
+  tools.hidden = false;
+  printBtn.hidden = false;
+  if (page > 1) load();
+
+  fetch(PDF)
+    .then(res => (res.ok ? res.arrayBuffer() : Promise.reject(new Error(`HTTP ${res.status}`))))
+    .then(buf => {
+      pages = countPages(new TextDecoder('latin1').decode(buf));
+      if (pages && page > pages) goTo(pages);
+    })
+    .catch(() => { pages = null; })
+    .finally(() => I18n.ready.then(update));
+
+  I18n.ready
+    .then(update)
+    .finally(() => OverlayBridge.toHost('ready', { title: document.title, sub: page > 1 ? String(page) : '' }));
+});
+
+// ===== Offline support: service worker (sw.js) and the "update available" toast =====
+// sw.js sits next to the pages, so its scope is the site's base path (/project-consulting/ on Pages).
+// Overlay frames are controlled by the same worker; only the top page registers it and shows the toast.
+document.addEventListener('DOMContentLoaded', () => {
+  if (!('serviceWorker' in navigator) || OverlayBridge.embedded) return;
+  if (!window.isSecureContext) return; // https, or localhost while developing
+
+  let reloading = false;
+  // The new worker took over after "Reload": load the page from its cache
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloading) location.reload();
+  });
+
+  navigator.serviceWorker.register('sw.js')
+    .then(reg => {
+      // Only an update needs a toast; the first install just takes over quietly
+      if (reg.waiting && navigator.serviceWorker.controller) offer(reg.waiting);
+      reg.addEventListener('updatefound', () => {
+        const worker = reg.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+          if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+        });
+      });
+    })
+    .catch(err => { if (window.console) console.warn('Service worker registration failed', err); });
+
+  function offer(worker) {
+    if (document.querySelector('.update-toast')) return;
+    const toast = document.createElement('div');
+    toast.className = 'update-toast';
+    toast.setAttribute('role', 'status');
+
+    const text = document.createElement('span');
+    text.dataset.i18n = 'pwa.update';
+    text.textContent = I18n.t('pwa.update');
+
+    const reload = document.createElement('button');
+    reload.type = 'button';
+    reload.className = 'chip chip--link';
+    reload.dataset.i18n = 'pwa.reload';
+    reload.textContent = I18n.t('pwa.reload');
+    reload.addEventListener('click', () => {
+      reloading = true;
+      reload.disabled = true;
+      worker.postMessage({ type: 'skip-waiting' });
     });
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'update-toast__close';
+    dismiss.textContent = '✕';
+    dismiss.setAttribute('aria-label', I18n.t('pwa.dismiss'));
+    dismiss.dataset.i18nAttr = 'aria-label:pwa.dismiss';
+    dismiss.addEventListener('click', () => toast.remove());
+
+    toast.append(text, reload, dismiss);
+    document.body.appendChild(toast);
   }
+});
 
-  init();
-})();
\ No newline at end of file
+// ---- Offline fallback page (offline.html, served by sw.js) ----
+document.addEventListener('DOMContentLoaded', () => {
+  if (document.body.dataset.page !== 'offline') return;
+  const retry = document.querySelector('[data-offline="retry"]');
+  if (retry) retry.addEventListener('click', () => location.reload());
+  // Back online: try the page that was asked for
+  window.addEventListener('online', () => location.reload());
+});
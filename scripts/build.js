@@ -0,0 +1,379 @@
+#!/usr/bin/env node
+// ===== Static build: pre-rendered pages in dist/ for GitHub Pages =====
+// Usage: node scripts/build.js   (SITE_URL=https://… overrides the absolute URL used in tags and the sitemap)
+//
+// Copies the site into dist/ and fills the empty #samplesTrack and #t-stream with the cards and
+// testimonials that script.js would render (SampleView.makeCard, TestimonialView.makeItem, run here
+// against a small DOM), so crawlers, link previews and no-JS visitors see the content. script.js keeps
+// the markup when it matches (data-prerendered) instead of rebuilding it. Also adds description /
+// Open Graph / Twitter tags a page doesn't already have, writes sitemap.xml, and stamps sw.js with a
+// hash of each file it precaches so every deploy that changes them ships a new service worker, which
+// downloads just the changed files.
+// Node built-ins only; needs Node 18+.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const SITE_URL = (process.env.SITE_URL || 'https://pawat-unj.github.io/project-consulting/').replace(/\/?$/, '/');
+const SHARE_IMAGE = 'assets/rocket.png';
+const PUBLIC_DIRS = ['assets', 'data', 'locales'];
+const PUBLIC_FILES = ['script.js', 'styles.css', 'sw.js', 'manifest.webmanifest'];
+
+// ---- Just enough DOM for the card and testimonial builders ----
+const VOID_TAGS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+// Properties that mirror an attribute of the same (lower-cased) name
+const REFLECTED = ['id', 'src', 'alt', 'href', 'title', 'type', 'name', 'role', 'loading', 'decoding', 'tabIndex'];
+
+const escapeText = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+const escapeAttr = (s) => escapeText(s).replace(/"/g, '&quot;');
+const dataAttr = (key) => 'data-' + key.replace(/[A-Z]/g, c => '-' + c.toLowerCase());
+
+class TextNode {
+  constructor(data) {
+    this.nodeType = 3;
+    this.data = String(data);
+    this.parentNode = null;
+  }
+
+  get textContent() { return this.data; }
+  get outerHTML() { return escapeText(this.data); }
+}
+
+class Element {
+  constructor(tagName) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.parentNode = null;
+    this.style = {};
+    const el = this;
+    this.dataset = new Proxy({}, {
+      get: (target, key) => (typeof key === 'string' && el.hasAttribute(dataAttr(key)) ? el.getAttribute(dataAttr(key)) : undefined),
+      set: (target, key, value) => { el.setAttribute(dataAttr(key), value); return true; },
+      has: (target, key) => el.hasAttribute(dataAttr(key)),
+      deleteProperty: (target, key) => { el.removeAttribute(dataAttr(key)); return true; }
+    });
+    this.classList = {
+      contains: (c) => el.className.split(/\s+/).includes(c),
+      add: (...names) => names.forEach(c => { if (!el.classList.contains(c)) el.className = `${el.className} ${c}`.trim(); }),
+      remove: (...names) => { el.className = el.className.split(/\s+/).filter(c => c && !names.includes(c)).join(' '); },
+      toggle: (c, force) => {
+        const on = force === undefined ? !el.classList.contains(c) : !!force;
+        if (on) el.classList.add(c);
+        else el.classList.remove(c);
+        return on;
+      }
+    };
+  }
+
+  get children() { return this.childNodes.filter(n => n.nodeType === 1); }
+  get firstChild() { return this.childNodes[0] || null; }
+  get className() { return this.getAttribute('class') || ''; }
+  set className(value) { this.setAttribute('class', value); }
+  get hidden() { return this.hasAttribute('hidden'); }
+  set hidden(value) { if (value) this.setAttribute('hidden', ''); else this.removeAttribute('hidden'); }
+
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  hasAttribute(name) { return this.attributes.has(name); }
+  removeAttribute(name) { this.attributes.delete(name); }
+
+  appendChild(node) {
+    if (node.nodeType === 11) {
+      node.childNodes.slice().forEach(child => this.appendChild(child));
+      return node;
+    }
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.push(node);
+    return node;
+  }
+
+  append(...nodes) {
+    nodes.forEach(n => this.appendChild(typeof n === 'string' ? new TextNode(n) : n));
+  }
+
+  insertBefore(node, ref) {
+    if (!ref) return this.appendChild(node);
+    if (node.parentNode) node.parentNode.removeChild(node);
+    node.parentNode = this;
+    this.childNodes.splice(this.childNodes.indexOf(ref), 0, node);
+    return node;
+  }
+
+  removeChild(node) {
+    this.childNodes = this.childNodes.filter(n => n !== node);
+    node.parentNode = null;
+    return node;
+  }
+
+  remove() {
+    if (this.parentNode) this.parentNode.removeChild(this);
+  }
+
+  get textContent() { return this.childNodes.map(n => n.textContent).join(''); }
+  set textContent(value) {
+    this.childNodes.forEach(n => { n.parentNode = null; });
+    this.childNodes = [];
+    if (value !== '' && value !== null && value !== undefined) this.appendChild(new TextNode(value));
+  }
+
+  get innerHTML() { return this.childNodes.map(n => n.outerHTML).join(''); }
+  get outerHTML() {
+    const tag = this.tagName.toLowerCase();
+    const attrs = Array.from(this.attributes, ([k, v]) => (v === '' ? ` ${k}` : ` ${k}="${escapeAttr(v)}"`)).join('');
+    return VOID_TAGS.has(tag) ? `<${tag}${attrs}>` : `<${tag}${attrs}>${this.innerHTML}</${tag}>`;
+  }
+
+  // Render-time listeners (e.g. image fallbacks) only matter in the browser
+  addEventListener() {}
+  removeEventListener() {}
+  querySelector() { return null; }
+  querySelectorAll() { return []; }
+}
+
+REFLECTED.forEach(prop => {
+  Object.defineProperty(Element.prototype, prop, {
+    get() { return this.getAttribute(prop.toLowerCase()) || ''; },
+    set(value) { this.setAttribute(prop.toLowerCase(), value); }
+  });
+});
+
+class Fragment extends Element {
+  constructor() {
+    super('#fragment');
+    this.nodeType = 11;
+  }
+}
+
+function createDocument() {
+  return {
+    documentElement: new Element('html'),
+    body: new Element('body'), // no data-page: the page blocks in script.js stay idle
+    hidden: false,
+    visibilityState: 'visible',
+    createElement: (tag) => new Element(tag),
+    createTextNode: (text) => new TextNode(text),
+    createDocumentFragment: () => new Fragment(),
+    getElementById: () => null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {},
+    dispatchEvent() { return true; }
+  };
+}
+
+// ---- script.js in a sandbox: fetch() reads the working tree ----
+function localPath(url) {
+  const file = path.join(ROOT, decodeURIComponent(String(url).split(/[?#]/)[0]));
+  return file.startsWith(ROOT + path.sep) ? file : null;
+}
+
+// SiteData.validateImages probes every image path with a HEAD request: "the file exists"
+function localFetch(url, options) {
+  const head = options && options.method === 'HEAD';
+  if (head && /^[a-z]+:/i.test(url)) return Promise.resolve({ ok: true, status: 200 }); // remote images aren't checked
+  const file = localPath(url);
+  if (!file || !fs.existsSync(file)) return Promise.resolve({ ok: false, status: 404 });
+  if (head) return Promise.resolve({ ok: true, status: 200 });
+  const text = fs.readFileSync(file, 'utf8');
+  return Promise.resolve({
+    ok: true,
+    status: 200,
+    text: async () => text,
+    json: async () => JSON.parse(text)
+  });
+}
+
+function memoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); }
+  };
+}
+
+// `names`: the top-level consts of script.js to hand back (the tests in test/ load it this way too)
+function loadSiteScript(names = ['I18n', 'SiteData', 'SampleView', 'TestimonialView']) {
+  const sandbox = {
+    console,
+    document: createDocument(),
+    navigator: { language: 'en', languages: ['en'] },
+    location: { href: SITE_URL, origin: new URL(SITE_URL).origin, pathname: new URL(SITE_URL).pathname, search: '', hash: '' },
+    history: { state: null, replaceState() {}, pushState() {} },
+    localStorage: memoryStorage(),
+    sessionStorage: memoryStorage(),
+    matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {}, addListener() {} }),
+    fetch: localFetch,
+    // Web APIs that Node shares; some namespaces use them at load time (e.g. classes extending EventTarget)
+    EventTarget,
+    Event,
+    CustomEvent: typeof CustomEvent === 'function'
+      ? CustomEvent
+      : class CustomEvent extends Event { constructor(type, init) { super(type, init); this.detail = init && init.detail; } },
+    TextEncoder,
+    TextDecoder,
+    Blob,
+    URL,
+    URLSearchParams,
+    performance,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame() {},
+    addEventListener() {},
+    removeEventListener() {}
+  };
+  sandbox.window = sandbox;
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  const source = fs.readFileSync(path.join(ROOT, 'script.js'), 'utf8');
+  // Top-level consts aren't context properties; the script's last expression hands them over
+  return vm.runInContext(`${source}\n;({ ${names.join(', ')} });`, sandbox, { filename: 'script.js' });
+}
+
+// ---- Page output ----
+// Put rendered markup into an element that is empty in the source page
+function fill(html, id, inner, file) {
+  const pattern = new RegExp(`(<(\\w+)\\b[^>]*\\bid="${id}"[^>]*)>\\s*</\\2>`);
+  if (!pattern.test(html)) throw new Error(`${file}: no empty element with id="${id}"`);
+  return html.replace(pattern, (m, open, tag) => `${open} data-prerendered>\n${inner}\n</${tag}>`);
+}
+
+// Sharing tags the page doesn't set itself, from its <title data-i18n="x.pageTitle"> and x.tagline
+function headTags(html, file, I18n) {
+  const titleKey = (/<title[^>]*\bdata-i18n="([^"]+)"/.exec(html) || [])[1];
+  const title = titleKey ? I18n.t(titleKey) : (/<title[^>]*>([^<]*)</.exec(html) || [])[1] || '';
+  const descKey = titleKey && titleKey.replace(/\.pageTitle$/, '.tagline');
+  const description = descKey && I18n.has(descKey) ? I18n.t(descKey) : '';
+  const url = SITE_URL + (file === 'index.html' ? '' : file);
+  const image = SITE_URL + SHARE_IMAGE;
+
+  const metas = [
+    ['name', 'description', description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:site_name', I18n.t('hero.pageTitle')],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['property', 'og:image', image],
+    ['name', 'twitter:card', 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'twitter:image', image]
+  ];
+  const live = html.replace(/<!--[\s\S]*?-->/g, ''); // commented-out tags don't count
+  const present = (attr, name) => new RegExp(`<meta\\s[^>]*${attr}="${name.replace('.', '\\.')}"`).test(live);
+  const lines = metas
+    .filter(([attr, name, content]) => content && !present(attr, name))
+    .map(([attr, name, content]) => `  <meta ${attr}="${name}" content="${escapeAttr(content)}">`);
+  if (!/<link\s[^>]*rel="canonical"/.test(live)) lines.unshift(`  <link rel="canonical" href="${escapeAttr(url)}">`);
+  return lines;
+}
+
+// ---- Service worker version ----
+// The PRECACHE list, read by running sw.js with a stand-in for the worker global
+function precacheList() {
+  const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+  const sandbox = { self: { addEventListener() {}, location: new URL(SITE_URL) }, URL };
+  vm.createContext(sandbox);
+  return vm.runInContext(`${source}\n;PRECACHE;`, sandbox, { filename: 'sw.js' });
+}
+
+// A hash per precached file (REVISIONS) and one over all of them (VERSION), as built; a missing file
+// fails the build (install would fail too)
+function stampServiceWorker() {
+  const revisions = {};
+  const all = crypto.createHash('sha256');
+  precacheList().forEach(entry => {
+    const file = path.join(DIST, entry === './' ? 'index.html' : entry);
+    if (!fs.existsSync(file)) throw new Error(`sw.js precaches "${entry}", which is not in the site`);
+    revisions[entry] = crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 16);
+    all.update(entry).update(revisions[entry]);
+  });
+  const version = all.digest('hex').slice(0, 12);
+  const swPath = path.join(DIST, 'sw.js');
+  const source = fs.readFileSync(swPath, 'utf8');
+  const lines = {
+    VERSION: [/^const VERSION = '[^']*';/m, `const VERSION = '${version}';`],
+    REVISIONS: [/^const REVISIONS = \{\};/m, `const REVISIONS = ${JSON.stringify(revisions, null, 2)};`]
+  };
+  const stamped = Object.keys(lines).reduce((text, name) => {
+    const [pattern, line] = lines[name];
+    if (!pattern.test(text)) throw new Error(`sw.js: no "const ${name} = …;" line to stamp`);
+    return text.replace(pattern, () => line);
+  }, source);
+  fs.writeFileSync(swPath, stamped);
+  return version;
+}
+
+function sitemap(urls) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => `  <url><loc>${escapeText(url)}</loc></url>`),
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+async function build() {
+  const { I18n, SiteData, SampleView, TestimonialView } = loadSiteScript();
+  await I18n.setLocale(I18n.FALLBACK, { persist: false });
+  // Same validation as the site: a broken data file fails the build instead of shipping an error panel
+  const [projects, testimonials] = await Promise.all([SiteData.load('projects'), SiteData.load('testimonials')]);
+
+  // Same first view as script.js: every project in file order; testimonials newest first, sides alternating
+  const prerender = {
+    'sample.html': (html, file) => fill(html, 'samplesTrack',
+      projects.map(I18n.localize).map(p => SampleView.makeCard(p, false).outerHTML).join('\n'), file),
+    'testimonial.html': (html, file) => fill(html, 't-stream',
+      TestimonialView.sorted(testimonials).map(I18n.localize)
+        .map((t, i) => TestimonialView.makeItem(t, { side: i % 2 ? 'right' : 'left' }).outerHTML).join('\n'), file)
+      // Items start hidden until script.js reveals them on scroll
+      .replace('</head>', '  <noscript><style>.t-reveal { opacity: 1; transform: none; }</style></noscript>\n</head>')
+  };
+
+  fs.rmSync(DIST, { recursive: true, force: true });
+  fs.mkdirSync(DIST);
+  const skipHidden = (src) => !path.basename(src).startsWith('.');
+  PUBLIC_DIRS.forEach(dir => fs.cpSync(path.join(ROOT, dir), path.join(DIST, dir), { recursive: true, filter: skipHidden }));
+  PUBLIC_FILES.forEach(file => fs.copyFileSync(path.join(ROOT, file), path.join(DIST, file)));
+
+  const pages = fs.readdirSync(ROOT).filter(f => f.endsWith('.html')).sort();
+  const indexed = [];
+  pages.forEach(file => {
+    let html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    if (prerender[file]) html = prerender[file](html, file);
+    if (!/<meta\s[^>]*name="robots"[^>]*noindex/.test(html)) {
+      const tags = headTags(html, file, I18n);
+      if (tags.length) html = html.replace('</head>', `  <!-- Added by scripts/build.js -->\n${tags.join('\n')}\n</head>`);
+      indexed.push(SITE_URL + (file === 'index.html' ? '' : file));
+    }
+    fs.writeFileSync(path.join(DIST, file), html);
+  });
+  fs.writeFileSync(path.join(DIST, 'sitemap.xml'), sitemap(indexed));
+  const version = stampServiceWorker();
+
+  console.log(`Built ${pages.length} pages (${projects.length} projects, ${testimonials.length} testimonials, service worker ${version}) into ${path.relative(process.cwd(), DIST) || '.'}/`);
+}
+
+module.exports = { loadSiteScript };
+
+if (require.main === module) {
+  build().catch(err => {
+    console.error(`Build failed: ${err.message}`);
+    (err.problems || []).forEach(p => console.error(`  - ${p}`));
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,153 @@
+// ===== Service worker: offline copy of the site (registered by script.js) =====
+// Precaches the pages, styles, script, data files, catalogs and assets/ on install. Precached files are
+// served from the cache and change only with a new worker; other same-origin GET requests (and every
+// request in an unbuilt checkout) are stale-while-revalidate: the cached copy at once, refreshed from the
+// network for next time. Page loads that miss both fall back to offline.html.
+// Paths are relative to this file, so the worker's scope is wherever the site is served from
+// (e.g. /project-consulting/ on GitHub Pages).
+// scripts/build.js stamps VERSION (names the cache) and REVISIONS (a hash per precached file), so a deploy
+// that changes any file installs a new worker; script.js then offers a reload ("update available").
+// Install downloads only the files whose revision changed and copies the rest from the previous cache.
+const VERSION = 'dev';
+const REVISIONS = {};
+const CACHE_PREFIX = 'site-';
+const CACHE = CACHE_PREFIX + VERSION;
+const OFFLINE_PAGE = 'offline.html';
+const REVISION_HEADER = 'x-precache-revision';
+
+// Keep in step with the files in the repo; the build fails if one is missing
+const PRECACHE = [
+  './',
+  'index.html',
+  'sample.html',
+  'testimonial.html',
+  'journal.html',
+  'submit-testimonial.html',
+  'resume.html',
+  OFFLINE_PAGE,
+  'styles.css',
+  'script.js',
+  'manifest.webmanifest',
+  'locales/en.json',
+  'locales/th.json',
+  'data/assets.json',
+  'data/availability.json',
+  'data/faq.json',
+  'data/milestones.json',
+  'data/pricing.json',
+  'data/projects.json',
+  'data/testimonials.json',
+  'assets/BPA.jpg',
+  'assets/coral.jpg',
+  'assets/finance.jpg',
+  'assets/flashcard.jpg',
+  'assets/map.jpg',
+  'assets/music.jpg',
+  'assets/nas.jpg',
+  'assets/nutrition.jpg',
+  'assets/profile.png',
+  'assets/rocket.png',
+  'assets/test1.png',
+  'assets/test2.png',
+  'assets/test3.png',
+  'assets/test4.png',
+  'assets/test5.png',
+  'assets/test6.png',
+  'assets/test7.png',
+  'assets/test8.png',
+  'assets/resume.pdf',
+  'assets/icons/favicon-32.png',
+  'assets/icons/apple-touch-icon.png',
+  'assets/icons/icon-192.png',
+  'assets/icons/icon-512.png',
+  'assets/icons/icon-maskable-512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+async function precache() {
+  const cache = await caches.open(CACHE);
+  const previous = (await caches.keys()).filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE);
+  await Promise.all(PRECACHE.map(async (path) => {
+    const revision = REVISIONS[path];
+    const kept = revision && await precachedCopy(previous, path, revision);
+    if (kept) return cache.put(path, kept);
+    // cache: 'reload' skips the HTTP cache so a new version never precaches stale files
+    const res = await fetch(new Request(path, { cache: 'reload' }));
+    if (!res.ok) throw new Error(`Precaching ${path} failed: HTTP ${res.status}`);
+    return cache.put(path, revision ? await withRevision(res, revision) : res);
+  }));
+}
+
+// The copy of a file an earlier worker precached at this same revision, if any
+async function precachedCopy(cacheNames, path, revision) {
+  for (const name of cacheNames) {
+    const res = await (await caches.open(name)).match(path);
+    if (res && res.headers.get(REVISION_HEADER) === revision) return res;
+  }
+  return null;
+}
+
+// The response with its revision recorded, so the next install can tell whether the file changed
+async function withRevision(res, revision) {
+  const headers = new Headers(res.headers);
+  headers.set(REVISION_HEADER, revision);
+  return new Response(await res.blob(), { status: res.status, statusText: res.statusText, headers });
+}
+
+// Drop caches from earlier versions and take over pages that loaded without a worker
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// A new version waits until the visitor accepts the update toast
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  if (new URL(request.url).origin !== self.location.origin) return; // fonts, Drive links, …
+  if (request.headers.has('range')) return; // partial PDF reads can't be answered from a full cached copy
+  event.respondWith(staleWhileRevalidate(event, request));
+});
+
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(CACHE);
+  const page = request.mode === 'navigate';
+  // Pages are stored without their query (?tags=…, ?edit), so every variant shares one copy
+  const key = page ? stripSearch(request.url) : request;
+  const cached = await cache.match(key);
+  if (cached && cached.headers.has(REVISION_HEADER)) return cached; // precached: updated by the next worker
+
+  const network = fetch(request).then(res => {
+    if (res.ok && res.type === 'basic') cache.put(key, res.clone());
+    return res;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  try {
+    return await network;
+  } catch (err) {
+    const offline = page && await cache.match(OFFLINE_PAGE);
+    if (offline) return offline;
+    throw err;
+  }
+}
+
+function stripSearch(href) {
+  const url = new URL(href);
+  url.search = '';
+  url.hash = '';
+  return url.href;
+}
@@ -0,0 +1,46 @@
+// ProjectMatch scoring against data/projects.json: run with `node --test`
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadSiteScript } = require('../scripts/build.js');
+
+const { ProjectMatch } = loadSiteScript(['ProjectMatch']);
+const projects = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'projects.json'), 'utf8'));
+
+const ids = (matches) => matches.map(m => m.project.id);
+
+test('the same answers always give the same ranking', () => {
+  const answers = { interests: ['data', 'web'], focus: 'software', hours: 4, major: 'cs' };
+  assert.deepEqual(ids(ProjectMatch.rank(projects, answers)), ids(ProjectMatch.rank(projects, answers)));
+});
+
+test('equal scores keep the order of the data file', () => {
+  const flat = projects.map(p => ({ id: p.id }));
+  assert.deepEqual(ids(ProjectMatch.rank(flat, {}, flat.length)), flat.map(p => p.id));
+});
+
+test('the score is the sum of the reasons', () => {
+  const answers = { interests: ['web'], focus: 'both', hours: 2, major: 'ee' };
+  projects.forEach(p => {
+    const match = ProjectMatch.score(p, answers);
+    assert.equal(match.score, match.reasons.reduce((sum, r) => sum + r.points, 0));
+  });
+});
+
+test('"build physical things" puts a hardware-tagged project first', () => {
+  const [top] = ProjectMatch.rank(projects, { interests: [], focus: 'hardware', hours: 0, major: '' });
+  assert.ok(top.project.tags.includes('hardware'), `${top.project.id} is not tagged hardware`);
+  const focus = top.reasons.find(r => r.type === 'focus');
+  assert.equal(focus.points, ProjectMatch.WEIGHTS.focus);
+});
+
+test('weekly hours over the time available cost points', () => {
+  const project = { id: 'p', hoursPerWeek: 6 };
+  const points = (hours) => ProjectMatch.score(project, { hours }).score;
+  assert.equal(points(6), ProjectMatch.WEIGHTS.hoursFit);
+  assert.equal(points(6 - ProjectMatch.STRETCH_HOURS), ProjectMatch.WEIGHTS.hoursStretch);
+  assert.equal(points(2), ProjectMatch.WEIGHTS.hoursOver);
+});
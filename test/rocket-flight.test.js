@@ -0,0 +1,131 @@
+// RocketFlight steering with a seeded rng and a hand-driven clock: run with `node --test`
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSiteScript } = require('../scripts/build.js');
+
+const { RocketFlight } = loadSiteScript(['RocketFlight']);
+
+const WIDTH = 800;
+const HEIGHT = 400;
+
+// mulberry32: small seeded generator, same sequence for the same seed
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function fakeElement(rect) {
+  return {
+    offsetWidth: 40,
+    offsetHeight: 40,
+    style: {},
+    classList: { add() {}, remove() {} },
+    addEventListener() {},
+    removeEventListener() {},
+    querySelectorAll: () => [],
+    getBoundingClientRect: () => Object.assign({ left: 0, top: 0, right: WIDTH, bottom: HEIGHT, width: WIDTH, height: HEIGHT }, rect)
+  };
+}
+
+// A flight inside an 800×400 box; `time.now` is the clock, frames never run on their own
+function makeFlight(options = {}) {
+  const time = { now: 0 };
+  const flight = new RocketFlight(fakeElement({ width: 40, height: 40 }), Object.assign({
+    bounds: fakeElement(),
+    rng: seeded(42),
+    clock: () => time.now,
+    requestFrame: () => 1,
+    cancelFrame() {}
+  }, options));
+  return { flight, time };
+}
+
+function fly(flight, time, frames) {
+  const dt = 1 / 60;
+  const path = [];
+  for (let i = 0; i < frames; i++) {
+    time.now += dt * 1000;
+    flight.update(dt, time.now);
+    path.push([flight.x, flight.y, flight.heading]);
+  }
+  return path;
+}
+
+test('the same seed flies the same path', () => {
+  const a = makeFlight();
+  const b = makeFlight();
+  a.flight.launch();
+  b.flight.launch();
+  assert.deepEqual(fly(a.flight, a.time, 600), fly(b.flight, b.time, 600));
+});
+
+test('a different seed flies a different path', () => {
+  const a = makeFlight();
+  const b = makeFlight({ rng: seeded(7) });
+  a.flight.launch();
+  b.flight.launch();
+  assert.notDeepEqual(fly(a.flight, a.time, 600), fly(b.flight, b.time, 600));
+});
+
+test('the rocket stays inside its bounds', () => {
+  const { flight, time } = makeFlight();
+  flight.launch();
+  fly(flight, time, 3000).forEach(([x, y]) => {
+    assert.ok(x >= 2 && x <= WIDTH - 2, `x ${x} out of bounds`);
+    assert.ok(y >= 2 && y <= HEIGHT - 2, `y ${y} out of bounds`);
+  });
+});
+
+test('edgeRepulsion pushes away from nearby edges only', () => {
+  const { flight } = makeFlight();
+  const middle = flight.edgeRepulsion(WIDTH / 2, HEIGHT / 2);
+  assert.equal(middle.fx, 0);
+  assert.equal(middle.fy, 0);
+  const left = flight.edgeRepulsion(10, HEIGHT / 2);
+  assert.ok(left.fx > 0);
+  assert.equal(left.fy, 0);
+  const bottomRight = flight.edgeRepulsion(WIDTH - 10, HEIGHT - 10);
+  assert.ok(bottomRight.fx < 0 && bottomRight.fy < 0);
+});
+
+test('pickWaypoint stays within the margin, avoids obstacles and emits "waypoint"', () => {
+  const { flight } = makeFlight();
+  flight.obstacles = [{ left: 300, top: 100, right: 500, bottom: 300 }];
+  let events = 0;
+  flight.addEventListener('waypoint', () => { events++; });
+  const m = flight.opts.waypointMargin;
+  for (let i = 0; i < 50; i++) {
+    flight.pickWaypoint(0);
+    const { x, y } = flight.waypoint;
+    assert.ok(x >= m && x <= WIDTH - m && y >= m && y <= HEIGHT - m, `waypoint (${x}, ${y}) outside the margin`);
+    assert.ok(!flight.insideObstacle(x, y), `waypoint (${x}, ${y}) inside the obstacle`);
+  }
+  assert.equal(events, 50);
+});
+
+test('a destroyed flight ignores late re-seats (fonts loading after destroy)', () => {
+  const { flight } = makeFlight();
+  flight.destroy();
+  flight.measure = () => assert.fail('measured after destroy');
+  flight._reseat();
+});
+
+test('in flight the rocket only takes clicks away from page content', () => {
+  const { flight } = makeFlight();
+  flight.obstacles = [{ left: 300, top: 100, right: 500, bottom: 300 }];
+  assert.equal(flight.el.style.pointerEvents, 'auto'); // parked: click to launch
+  flight.mode = 'flight';
+  flight.x = 400;
+  flight.y = 200;
+  flight.render();
+  assert.equal(flight.el.style.pointerEvents, 'none');
+  flight.x = 100;
+  flight.render();
+  assert.equal(flight.el.style.pointerEvents, 'auto');
+});